@@ -0,0 +1,67 @@
+'use strict';
+(function () {
+
+
+    /**
+     * Example data to be plotted.  Could be obtained from CSV, JSON, or many other data sources.
+     */
+    function getData() {
+        return [
+            {
+                name: 'Apple',
+                scoreToday: 62,
+                scoreLastYear: 25
+            },
+            {
+                name: 'Banana',
+                scoreToday: 90,
+                scoreLastYear: 71
+            },
+            {
+                name: 'Peach',
+                scoreToday: 43,
+                scoreLastYear: 59
+            },
+            {
+                name: 'Orange',
+                scoreToday: 65,
+                scoreLastYear: 43
+            },
+            {
+                name: 'Lime',
+                scoreToday: 88,
+                scoreLastYear: 63
+            }
+        ];
+    }
+
+
+    function draw() {
+        barChart('body', {
+            data: getData(),
+            category: (d) => d.name,
+            value: (d) => d.scoreToday,
+            comparison: (d) => d.scoreLastYear,
+            valueDomain: [0, 100],
+            color: {
+                type: 'map',
+                map: {
+                    Apple: 'rgb(153, 0, 0)',
+                    Banana: 'rgb(209, 209, 0)',
+                    Peach: 'rgb(229, 188, 112)',
+                    Orange: 'rgb(234, 151, 0)',
+                    Lime: 'rgb(7, 127, 7)'
+                }
+            },
+            legend: false,
+            title: 'Carbo-Hydroxyl-Frutinoid Concentrations', //Ok I just made up this concept
+            valueAxisTitle: 'Concentration %',
+            footnote: "Bold score represents today's value.  Italic score represents last year's value."
+        });
+    }
+
+
+    window.onload = draw;
+
+
+})();
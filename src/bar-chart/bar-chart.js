@@ -1,252 +1,876 @@
 'use strict';
-(function () {
+
+/**
+ * Reusable bar chart.
+ *
+ * Usage: barChart(container, config) draws a chart of config.data into the container (a selector string,
+ * DOM element or D3 selection), and returns a handle for the drawn chart.  See defaultConfig for the options.
+ */
+const barChart = (function () {
 
 
     /**
-     * Example data to be plotted.  Could be obtained from CSV, JSON, or many other data sources.
+     * Options accepted by barChart().  Anything the caller leaves out takes the value given here.
+     *
+     * The accessors are called once per datum:
+     *   category: name of the bar, used for the band axis.
+     *   value: the current value, drawn as the bar.
+     *   comparison: the value to compare against, drawn as a tick beside the bar (none where it returns null or
+     *       undefined, e.g. for data without the field).  Set to null to omit it.
+     *
+     * mode selects how the bars are drawn:
+     *   'single': one bar per category for value, with the comparison as a tick beside it.
+     *   'grouped': one bar per series, side by side within each category.
+     *   'stacked': the series are stacked into one bar per category (negative values stack below zero).
+     * series lists the series for the grouped and stacked modes, as { key, label, value, color } objects where
+     * value is the accessor (defaults to d => d[key]) and color is optional.  When series is null, value and
+     * comparison become the two series.
+     *
+     * color picks the bar colors.  It is keyed by category in single mode, or by series key otherwise:
+     *   type 'categorical': colors taken in turn from palette (by default, the theme's palette).
+     *   type 'sequential': color by value, through the interpolator (e.g. d3.interpolateViridis; by default,
+     *     the theme's sequential interpolator).
+     *   type 'map': colors looked up by name in map; names missing from the map fall back to the palette.
+     * A series' own color takes precedence.  Bars also get a class named after the category or series key
+     * (see chartUtils.toClassName), so a stylesheet can still restyle them.
+     *
+     * legend draws a legend from the same color mapping above the plot: a row of named swatches,
+     * or a color ramp for the sequential type.
+     *
+     * orientation is 'vertical' (columns rising from the category axis at the bottom) or 'horizontal' (bars
+     * extending right from the category axis on the left, which leaves room for long category names).
+     *
+     * sort orders the categories: 'value' (largest first), 'delta' (largest increase of value over comparison
+     * first, which needs a comparison; data without a comparison value go last), 'name' (alphabetical), or a
+     * comparator function of two data.  Null keeps the data order.  In the grouped and stacked modes, 'value'
+     * sorts by the sum of the series.
+     *
+     * The value domain covers every plotted value (and zero), rounded out to nice tick values,
+     * unless valueDomain is given as [min, max].  Negative values are drawn as bars growing back from zero.
+     *
+     * tickFormat formats the value axis ticks and the value labels.  It may be a function, a d3-format specifier
+     * such as ',.1f', or one of the presets in tickFormatPresets.  Null uses the D3 default for the ticks
+     * and prints the labels as they are.
+     *
+     * Empty title, valueAxisTitle or footnote strings are not drawn.
+     *
+     * description is the chart's text alternative for screen readers, in place of the summary of the data
+     * written by describeBars.
+     *
+     * breakpoints are the chart widths below which the footnote and the legend are left out, to leave room for
+     * the bars.  The size, transition and theme options are those of every chart, in chartUtils.sharedConfig.
      */
-    function getData() {
-        return [
-            {
-                name: 'Apple',
-                scoreToday: 62,
-                scoreLastYear: 25
-            },
-            {
-                name: 'Banana',
-                scoreToday: 90,
-                scoreLastYear: 71
-            },
-            {
-                name: 'Peach',
-                scoreToday: 43,
-                scoreLastYear: 59
-            },
-            {
-                name: 'Orange',
-                scoreToday: 65,
-                scoreLastYear: 43
-            },
-            {
-                name: 'Lime',
-                scoreToday: 88,
-                scoreLastYear: 63
-            }
-        ];
+    const defaultConfig = Object.assign({}, chartUtils.sharedConfig, {
+        data: [],
+        category: (d) => d.name,
+        value: (d) => d.value,
+        comparison: (d) => d.comparison,
+        mode: 'single',
+        series: null,
+        color: {
+            type: 'categorical',
+            palette: null, //defaults to the theme's palette
+            interpolator: null, //defaults to the theme's sequential interpolator
+            map: {}
+        },
+        legend: true,
+        orientation: 'vertical',
+        sort: null,
+        valueDomain: null,
+        valueTicks: 10,
+        tickFormat: null,
+        title: '',
+        valueAxisTitle: '',
+        footnote: '',
+        description: null,
+        breakpoints: {
+            footnote: 480,
+            legend: 360
+        },
+        padding: { //main chart area padding
+            top: 70,
+            right: 30,
+            bottom: 70,
+            left: 70
+        }
+    });
+
+
+    /**
+     * Named tick formats.  'percent' expects fractions, i.e. 0.25 is written as 25%.
+     */
+    const tickFormatPresets = {
+        percent: '.0%',
+        si: '.2s',
+        currency: '$,.2f'
+    };
+
+
+    /**
+     * Returns the value formatting function for config.tickFormat, or null for the D3 default.
+     */
+    function makeTickFormat(config) {
+        const format = config.tickFormat;
+        if (!format || typeof format === 'function') {
+            return format;
+        }
+        return d3.format(tickFormatPresets[format] || format);
+    }
+
+
+    function formatValue(value, scales) {
+        return scales.format ? scales.format(value) : value;
+    }
+
+
+    function hasValue(value) {
+        return value !== undefined && value !== null;
+    }
+
+
+    /**
+     * Normalizes config.series into a list of { key, label, value, color }, one per series.
+     * color is only set when the series names its own.
+     */
+    function getSeries(config) {
+        const series = config.series || [
+            { key: 'value', label: 'Current', value: config.value },
+            { key: 'comparison', label: 'Comparison', value: config.comparison }
+        ].filter((s) => s.value);
+        return series.map((s, i) => ({
+            key: s.key,
+            label: s.label === undefined ? s.key : s.label,
+            value: s.value || ((d) => d[s.key]),
+            color: s.color,
+            index: i
+        }));
+    }
+
+
+    /**
+     * Returns the color function for config.color, called as color(name, value) where name is the category
+     * or series key.  For the sequential type, the function also has the scale used, as color.scale.
+     * The palette and interpolator default to the theme's.
+     */
+    function makeColorScale(config, valueDomain, theme) {
+        const options = config.color;
+        if (options.type === 'sequential') {
+            const scale = d3.scaleSequential(options.interpolator || theme.sequential).domain(valueDomain);
+            const color = (name, value) => scale(value);
+            color.scale = scale;
+            return color;
+        }
+        if (options.type !== 'categorical' && options.type !== 'map') {
+            throw new Error("Unknown color type: '" + options.type + "'");
+        }
+        const palette = d3.scaleOrdinal(options.palette || theme.palette);
+        const map = options.type === 'map' ? options.map : {};
+        return (name) => map[name] || palette(name);
     }
 
 
-    function getPlotArea() {
-        const plot = {
-            svg: {
-                width: 800,
-                height: 500
+    /**
+     * Returns a sorted copy of the data according to config.sort, or the data itself when unsorted.
+     */
+    function sortData(data, config, series) {
+        const total = config.mode === 'single'
+            ? config.value
+            : (d) => d3.sum(series, (s) => s.value(d));
+        const comparators = {
+            value: (a, b) => d3.descending(total(a), total(b)),
+            delta: (a, b) => {
+                const hasA = hasValue(config.comparison(a));
+                const hasB = hasValue(config.comparison(b));
+                return hasA && hasB
+                    ? d3.descending(config.value(a) - config.comparison(a), config.value(b) - config.comparison(b))
+                    : hasB - hasA;
             },
-            padding: { //main chart area padding
-                top: 70,
-                right: 30,
-                bottom: 70,
-                left: 70
-            }
-        };
-        plot.range = { //drawn axis length in pixels
-            x: plot.svg.width - plot.padding.left - plot.padding.right,
-            y: plot.svg.height - plot.padding.top - plot.padding.bottom
+            name: (a, b) => d3.ascending(String(config.category(a)), String(config.category(b)))
         };
-        return plot;
+        const comparator = typeof config.sort === 'function' ? config.sort : comparators[config.sort];
+        if (config.sort && !comparator) {
+            throw new Error("Unknown sort: '" + config.sort + "'");
+        }
+        if (config.sort === 'delta' && !config.comparison) {
+            throw new Error("Sort 'delta' needs a comparison to subtract from the value");
+        }
+        return comparator ? data.slice().sort(comparator) : data;
+    }
+
+
+    /**
+     * Stacks the series of each datum, returning one layer per series (see d3.stack).
+     * Missing values stack as zero.
+     */
+    function stackData(data, series) {
+        return d3.stack()
+            .keys(series.map((s) => s.index))
+            .value((d, i) => series[i].value(d) || 0)
+            .offset(d3.stackOffsetDiverging)(data);
+    }
+
+
+    /**
+     * In horizontal orientation the left padding is widened, if necessary, to fit the longest category name.
+     */
+    function getPlotArea(svg, data, config) {
+        if (config.orientation !== 'horizontal') {
+            return chartUtils.makePlotArea(config);
+        }
+        const maxTextWidth = d3.max(data, (d) =>
+            chartUtils.calcTextWidth(svg, config.category(d), 'category category-hidden'));
+        svg.selectAll('.category-hidden').remove();
+        return chartUtils.makePlotArea(config, {
+            left: Math.max(config.padding.left, (maxTextWidth || 0) + 20)
+        });
+    }
+
+
+    /**
+     * Value domain spans zero and all the plotted values, so bars always have a baseline to grow from.
+     */
+    function calcValueDomain(data, config, layout) {
+        if (config.valueDomain) {
+            return config.valueDomain;
+        }
+        const values = [];
+        if (config.mode === 'stacked') {
+            layout.stack.forEach((layer) => layer.forEach((point) => values.push(point[0], point[1])));
+        }
+        else if (config.mode === 'grouped') {
+            layout.series.forEach((s) => values.push(...data.map(s.value)));
+        }
+        else {
+            values.push(...data.map(config.value));
+            if (config.comparison) {
+                values.push(...data.map(config.comparison));
+            }
+        }
+        const min = Math.min(0, d3.min(values) || 0);
+        const max = Math.max(0, d3.max(values) || 0);
+        return min === max ? [0, 1] : [min, max];
+    }
+
+
+    /**
+     * Extends the value domain past its negative end by the room the value labels of negative bars take up
+     * (see positionValueLabels): their height below vertical bars, or the widest label (in bold, as the single
+     * mode labels are) left of horizontal bars.
+     * Otherwise the label of a bar reaching the end of the domain would be drawn over the category axis.
+     * Stacked bars are labelled at their positive end, so they need no room.
+     */
+    function roomForNegativeLabels(domain, data, config, layout, length, horizontal) {
+        const values = config.mode === 'grouped'
+            ? [].concat(...layout.series.map((s) => data.map(s.value)))
+            : config.mode === 'stacked' ? [] : data.map(config.value);
+        const negatives = values.filter((value) => value < 0);
+        if (!negatives.length || domain[0] >= 0) {
+            return domain;
+        }
+        const format = makeTickFormat(config);
+        const room = horizontal
+            ? 10 + 1.1 * d3.max(negatives, (value) => chartUtils.estimateTextWidth(formatValue(value, { format })))
+            : 18;
+        const extension = room * (domain[1] - domain[0]) / Math.max(1, length - room);
+        return [domain[0] - extension, domain[1]];
     }
 
 
-    function makeScales(data, plot) {
+    /**
+     * Scales used in this chart:
+     *
+     * band: Band per category, along X (vertical orientation) or down Y (horizontal orientation).
+     *
+     * series: Band per series, nested within the category band (grouped mode only).
+     *
+     * value: Value, from the data or config.valueDomain, along the other axis.
+     *
+     * color: Bar color by name and value, from config.color and the theme.
+     *
+     * x, y: The band and value scales by screen direction.
+     *
+     * valueTicks is the number of value ticks: config.valueTicks, or fewer where they'd be under 30px apart.
+     */
+    function makeScales(data, config, layout, plot, theme) {
+        const horizontal = config.orientation === 'horizontal';
+        const band = d3.scaleBand()
+            .domain(data.map(config.category)) //category names are the band domain
+            .range(horizontal ? [0, plot.range.y] : [0, plot.range.x]);
+        const valueTicks = Math.max(2, Math.min(config.valueTicks,
+            Math.floor((horizontal ? plot.range.x : plot.range.y) / 30)));
+        const value = d3.scaleLinear()
+            .domain(calcValueDomain(data, config, layout))
+            .range(horizontal ? [0, plot.range.x] : [plot.range.y, 0])
+            .nice(valueTicks);
+        const color = makeColorScale(config, value.domain(), theme);
+        if (!config.valueDomain) {
+            value.domain(roomForNegativeLabels(value.domain(), data, config, layout, horizontal ? plot.range.x
+                : plot.range.y, horizontal));
+        }
         return {
-            x: d3.scaleBand()
-                .domain(data.map(x => x.name)) //object names are the X domain
-                .range([0, plot.range.x]),
-            y: d3.scaleLinear()
-                .domain([0,100])
-                .range([plot.range.y, 0]),
+            color: color,
+            band: band,
+            series: d3.scaleBand()
+                .domain(layout.series.map((s) => s.index))
+                .range([band.bandwidth() * 0.2, band.bandwidth() * 0.8])
+                .padding(0.05),
+            value: value,
+            valueTicks: valueTicks,
+            x: horizontal ? value : band,
+            y: horizontal ? band : value,
+            horizontal: horizontal,
+            format: makeTickFormat(config)
         };
     }
 
 
     /**
-     * The X-axis is a horizontal line with a tick for each type of fruit.
+     * Sets the position and size of bar rects, given accessors for the bar's offset along the band axis,
+     * its thickness, and the two values it spans on the value axis.
      */
-    function appendXAxis(paddingGroup, scales, plot) {
-        const xAxis = d3.axisBottom().scale(scales.x);
-        paddingGroup.append('g')
-            .attr('transform', 'translate(0,' + plot.range.y + ')')
-            .attr('class', 'xAxis')
-            .call(xAxis);
+    function positionBars(rects, scales, bandOffset, thickness, fromValue, toValue) {
+        const start = (d) => scales.value(Math.min(fromValue(d), toValue(d)));
+        const end = (d) => scales.value(Math.max(fromValue(d), toValue(d)));
+        if (scales.horizontal) {
+            rects.attr('x', start)
+                .attr('y', bandOffset)
+                .attr('width', (d) => end(d) - start(d))
+                .attr('height', thickness);
+        }
+        else {
+            rects.attr('x', bandOffset)
+                .attr('y', end)
+                .attr('width', thickness)
+                .attr('height', (d) => start(d) - end(d));
+        }
     }
 
 
     /**
-     * The Y-Axis is a vertical line with the default number of ticks on the scale domain (0 to 100).
+     * Positions a value label just past the end of a bar: above (or below, if negative) a vertical bar,
+     * or to the right (or left, if negative) of a horizontal bar.
      */
-    function appendYAxis(paddingGroup, scales) {
-        const yAxis = d3.axisLeft().scale(scales.y);
-        paddingGroup.append('g')
-            .attr('class', 'yAxis')
-            .call(yAxis);
+    function positionValueLabels(texts, scales, bandCenter, value, gap) {
+        if (scales.horizontal) {
+            texts.attr('x', (d) => scales.value(value(d)) + (value(d) < 0 ? -gap : gap))
+                .attr('y', bandCenter)
+                .attr('dy', '0.32em')
+                .style('text-anchor', (d) => value(d) < 0 ? 'end' : 'start');
+        }
+        else {
+            texts.attr('x', bandCenter)
+                .attr('y', (d) => scales.value(value(d)) + (value(d) < 0 ? gap + 10 : -gap))
+                .style('text-anchor', 'middle');
+        }
     }
 
 
     /**
-     * Appends horizontal dashed lines (over the plot area) that align with the Y-Axis ticks.
-     *
-     * (Implemented as a second Y-Axis.  Tick text display is turned off in CSS.)
+     * The category axis has a tick for each category: along the bottom, or down the left side when horizontal.
      */
-    function appendYAxisDashedLines(paddingGroup, scales, plot) {
-        const yAxis = d3.axisLeft().scale(scales.y).tickSize(plot.range.x);
-        paddingGroup.append('g')
-            .attr('class', 'yDashed')
-            .attr('transform', 'translate(' + plot.range.x + ',0)')
-            .call(yAxis);
+    function appendBandAxis(paddingGroup, scales, plot, transition) {
+        chartUtils.appendAxis(paddingGroup, scales.band, plot, {
+            orient: scales.horizontal ? 'left' : 'bottom',
+            className: 'bandAxis ' + (scales.horizontal ? 'yAxis' : 'xAxis')
+        }, transition);
     }
 
 
     /**
-     * Dashed pattern is a square: half dark and half white.
+     * The value axis has about scales.valueTicks ticks on the scale domain: down the left side,
+     * or along the bottom when horizontal.  Grid lines across the plot area align with its ticks, dashed by
+     * the pattern with the given id (see defineDashedLine).
      */
-    function defineDashedLine(svg) {
-        const pattern = svg.append('defs')
-            .append('pattern')
-            .attr('id', 'dashed-line')
-            .attr('patternUnits', 'userSpaceOnUse')
-            .attr('width', 4)
-            .attr('height', 4);
+    function appendValueAxis(paddingGroup, config, scales, plot, transition, dashedLineId) {
+        chartUtils.appendAxis(paddingGroup, scales.value, plot, {
+            orient: scales.horizontal ? 'bottom' : 'left',
+            className: 'valueAxis ' + (scales.horizontal ? 'xAxis' : 'yAxis'),
+            ticks: scales.valueTicks,
+            tickFormat: scales.format,
+            grid: { className: 'dashed' }
+        }, transition);
+        paddingGroup.selectAll('.grid.dashed line')
+            .style('stroke', 'url(#' + dashedLineId + ')');
+    }
+
+
+    /**
+     * Closes the plot area with a solid line along the edge facing the value axis: at the right, or at the top
+     * when horizontal.
+     */
+    function appendPlotEdge(paddingGroup, scales, plot, transition) {
+        chartUtils.animate(chartUtils.selectOrAppend(paddingGroup, 'line', 'plot-edge'), transition)
+            .attr('x1', scales.horizontal ? 0 : plot.range.x + 0.5)
+            .attr('y1', 0.5)
+            .attr('x2', plot.range.x + 0.5)
+            .attr('y2', scales.horizontal ? 0.5 : plot.range.y + 0.5);
+    }
+
+
+    /**
+     * Defines the pattern that dashes the grid lines, and returns its id.  The pattern carries the chart's theme
+     * colors, so each chart's pattern gets its own id, kept when the chart is drawn again in place.
+     *
+     * Dashed pattern is a square: half the theme's grid color and half its background.  The grid half is the
+     * left half for horizontal lines, or the top half for vertical lines (in the horizontal orientation).
+     */
+    let dashedLineCount = 0;
+    function defineDashedLine(svg, scales, theme) {
+        const defs = chartUtils.selectOrAppend(svg, 'defs', 'dashed-lines');
+        const pattern = chartUtils.selectOrAppend(defs, 'pattern', 'dashed-line');
+        if (!pattern.attr('id')) {
+            pattern.attr('id', 'bar-chart-dashed-line-' + (++dashedLineCount))
+                .attr('patternUnits', 'userSpaceOnUse')
+                .attr('width', 4)
+                .attr('height', 4);
+        }
+        pattern.selectAll('rect').remove();
         pattern.append('rect')
             .attr('width', 4)
             .attr('height', 4)
-            .attr('fill', 'white');
+            .attr('fill', theme.background);
         pattern.append('rect')
-            .attr('width', 2)
-            .attr('height', 4)
-            .attr('fill', 'lightgrey');
+            .attr('width', scales.horizontal ? 4 : 2)
+            .attr('height', scales.horizontal ? 2 : 4)
+            .attr('fill', theme.grid);
+        return pattern.attr('id');
+    }
+
+
+    /**
+     * When the domain has negative values, draws a solid line at zero for the bars to grow from.
+     */
+    function appendBaseline(paddingGroup, scales, plot, transition) {
+        const zero = scales.value(0);
+        const baseline = chartUtils.selectOrAppend(paddingGroup, 'g', 'baseline')
+            .selectAll('line:not(.exiting)')
+            .data(scales.value.domain()[0] < 0 ? [0] : []);
+        chartUtils.join(baseline, 'line', (line) => line
+            .attr('x1', scales.horizontal ? zero : 0)
+            .attr('y1', scales.horizontal ? 0 : zero)
+            .attr('x2', scales.horizontal ? zero : plot.range.x)
+            .attr('y2', scales.horizontal ? plot.range.y : zero), transition);
     }
 
 
     /**
-     * Appends the bars of the bar chart.  They are vertical columns, one per fruit type.
+     * Joins bar rects to their data by key, and sizes them to span fromValue to toValue.  Entering bars grow
+     * out from startValue over the transition, if any; exiting bars fade out.  Returns the entering and
+     * updated bars together.
      */
-    function appendBars(paddingGroup, data, scales, plot) {
-        const rectWidth = scales.x.bandwidth() * 0.2;
-        paddingGroup.append('g')
-            .attr('class', 'bars')
-            .attr('transform', 'translate(' + (scales.x.bandwidth()/2 - rectWidth/2) + ',0)')
-            .selectAll()
-            .data(data)
-            .enter()
+    function joinBars(bars, scales, bandOffset, thickness, fromValue, toValue, startValue, transition) {
+        chartUtils.removeExit(bars.exit(), transition);
+        const entered = bars.enter()
             .append('rect')
-            .attr('x', (d) => scales.x(d.name))
-            .attr('y', (d) => scales.y(d.scoreToday))
-            .attr('width', rectWidth)
-            .attr('height', (d) => plot.range.y - scales.y(d.scoreToday))
-            .attr('class', (d) => d.name);
+            .call(positionBars, scales, bandOffset, thickness, startValue, startValue);
+        const merged = entered.merge(bars);
+        chartUtils.animate(merged, transition)
+            .call(positionBars, scales, bandOffset, thickness, fromValue, toValue);
+        return merged;
     }
 
 
     /**
-     * Writes the scoreToday numbers over top of the bars.
+     * Appends the bars of the bar chart, one per category, extending from zero to the value, and returns them.
+     * The bars are 20% of the category band thick, centered in the band.
      */
-    function appendScoreToday(paddingGroup, data, scales) {
-        paddingGroup.append('g')
-            .attr('class', 'scoreToday')
-            .attr('transform', 'translate(' + (scales.x.bandwidth()/2) + ',0)')
-            .selectAll()
-            .data(data)
-            .enter()
-            .append('text')
-            .attr('x', (d) => scales.x(d.name))
-            .attr('y', (d) => scales.y(d.scoreToday) - 5)
-            .text((d) => d.scoreToday);
+    function appendBars(paddingGroup, data, config, scales, transition) {
+        const thickness = scales.band.bandwidth() * 0.2;
+        const bars = chartUtils.selectOrAppend(paddingGroup, 'g', 'bars')
+            .selectAll('rect:not(.exiting)')
+            .data(data, config.category);
+        const merged = joinBars(bars, scales,
+            (d) => scales.band(config.category(d)) + scales.band.bandwidth()/2 - thickness/2,
+            thickness, () => 0, config.value, () => 0, transition)
+            .attr('class', (d) => chartUtils.toClassName('category-', config.category(d)));
+        chartUtils.animate(merged, transition)
+            .attr('fill', (d) => scales.color(config.category(d), config.value(d)));
+        return merged;
     }
 
 
     /**
-     * Draws a tick and the score for scoreLastYear numbers, adjacent to the bars.
+     * Appends the bars for grouped mode: within each category, a bar per series side by side, and returns them.
+     * Each bar is labeled with its value.  A bar's datum is { data, series, value }, like a stacked segment's.
      */
-    function appendScoreLastYear(paddingGroup, data, scales) {
-        const rectWidth = scales.x.bandwidth() * 0.2;
-        const entered = paddingGroup.append('g')
-            .attr('class', 'scoreLastYear')
-            .attr('transform', 'translate(' + (scales.x.bandwidth()/2 + rectWidth/2) + ',0)')
-            .selectAll()
-            .data(data)
-            .enter();
-        entered.append('line')
-            .attr('x1', (d) => scales.x(d.name))
-            .attr('y1', (d) => scales.y(d.scoreLastYear))
-            .attr('x2', (d) => scales.x(d.name) + 6)
-            .attr('y2', (d) => scales.y(d.scoreLastYear));
-        entered.append('text')
-            .attr('x', (d) => scales.x(d.name) + 8)
-            .attr('y', (d) => scales.y(d.scoreLastYear) + 4)
-            .text((d) => d.scoreLastYear);
+    function appendGroupedBars(paddingGroup, data, config, layout, scales, transition) {
+        const categoryGroups = chartUtils.selectOrAppend(paddingGroup, 'g', 'bars grouped')
+            .selectAll('g:not(.exiting)')
+            .data(data, config.category);
+        const mergedGroups = chartUtils.join(categoryGroups, 'g', (groups) => groups
+            .attr('transform', (d) => scales.horizontal
+                ? 'translate(0,' + scales.band(config.category(d)) + ')'
+                : 'translate(' + scales.band(config.category(d)) + ',0)'), transition);
+        const seriesValues = (d) => layout.series
+            .map((s) => ({ data: d, series: s, value: s.value(d) }))
+            .filter((d) => d.value !== undefined && d.value !== null);
+        const bars = joinBars(mergedGroups.selectAll('rect:not(.exiting)').data(seriesValues, (d) => d.series.key),
+            scales, (d) => scales.series(d.series.index), scales.series.bandwidth(), () => 0, (d) => d.value,
+            () => 0, transition)
+            .attr('class', (d) => seriesClassName(d.series));
+        chartUtils.animate(bars, transition)
+            .attr('fill', (d) => seriesColor(d.series, d.value, scales));
+        const labels = mergedGroups.selectAll('text:not(.exiting)').data(seriesValues, (d) => d.series.key);
+        chartUtils.join(labels, 'text', (texts) => texts.call(positionValueLabels, scales,
+            (d) => scales.series(d.series.index) + scales.series.bandwidth()/2, (d) => d.value, 3), transition)
+            .attr('class', 'seriesValue')
+            .text((d) => formatValue(d.value, scales));
+        return bars;
     }
 
 
     /**
-     * Writes the title at the top of the chart.
+     * Appends the bars for stacked mode: one bar per category made of a segment per series,
+     * with the total written at the end of the bar.  Returns the segments.
      */
-    function appendChartTitle(svg, plot) {
-        svg.append('text')
-            .attr('id', 'chartTitle')
-            .attr('x', plot.svg.width/2)
-            .attr('y', plot.padding.top * 0.66)
-            .text('Carbo-Hydroxyl-Frutinoid Concentrations'); //Ok I just made up this concept
+    function appendStackedBars(paddingGroup, data, config, layout, scales, transition) {
+        const thickness = scales.band.bandwidth() * 0.4;
+        const bandOffset = (d) => scales.band(config.category(d)) + scales.band.bandwidth()/2 - thickness/2;
+        const layers = chartUtils.selectOrAppend(paddingGroup, 'g', 'bars stacked')
+            .selectAll('g:not(.exiting)')
+            .data(layout.stack, (layer) => layout.series[layer.key].key);
+        chartUtils.removeExit(layers.exit(), transition);
+        const mergedLayers = layers.enter()
+            .append('g')
+            .merge(layers)
+            .attr('class', (layer) => seriesClassName(layout.series[layer.key]));
+        const segments = joinBars(mergedLayers.selectAll('rect:not(.exiting)')
+            .data((layer) => layer.map((point) => Object.assign(point, { series: layout.series[layer.key] })),
+                (point) => config.category(point.data)),
+            scales, (point) => bandOffset(point.data), thickness, (point) => point[0], (point) => point[1],
+            (point) => point[0], transition);
+        chartUtils.animate(segments, transition)
+            .attr('fill', (point) => seriesColor(point.series, point[1] - point[0], scales));
+        const totals = data.map((d) => ({
+            datum: d,
+            total: d3.sum(layout.series, (s) => s.value(d)),
+            end: d3.max(layout.stack, (layer) => layer.find((point) => point.data === d)[1])
+        }));
+        const labels = chartUtils.selectOrAppend(paddingGroup, 'g', 'scoreToday')
+            .selectAll('text:not(.exiting)')
+            .data(totals, (d) => config.category(d.datum));
+        chartUtils.join(labels, 'text', (texts) => texts.call(positionValueLabels, scales,
+            (d) => scales.band(config.category(d.datum)) + scales.band.bandwidth()/2, (d) => Math.max(0, d.end), 5),
+            transition)
+            .text((d) => formatValue(d.total, scales));
+        return segments;
+    }
+
+
+    function seriesClassName(series) {
+        return 'series-' + series.index + ' ' + chartUtils.toClassName('series-', series.key);
+    }
+
+
+    function seriesColor(series, value, scales) {
+        return series.color || scales.color(series.key, value);
+    }
+
+
+    /**
+     * The legend is drawn from the color mapping, right aligned above the plot area.
+     * Sequential colors get a color ramp; otherwise there's a swatch for each series
+     * (grouped and stacked modes) or each category (single mode).
+     */
+    function appendLegend(paddingGroup, data, config, layout, scales, plot) {
+        const legendGroup = chartUtils.resetGroup(paddingGroup, 'legend');
+        if (scales.color.scale) {
+            appendColorRampLegend(legendGroup, scales, plot);
+        }
+        else if (config.mode === 'single') {
+            appendSwatchLegend(legendGroup, data.map((d) => ({
+                label: config.category(d),
+                className: chartUtils.toClassName('category-', config.category(d)),
+                color: scales.color(config.category(d))
+            })), plot);
+        }
+        else {
+            appendSwatchLegend(legendGroup, layout.series.map((s) => ({
+                label: s.label,
+                className: seriesClassName(s),
+                color: seriesColor(s, undefined, scales)
+            })), plot);
+        }
+    }
+
+
+    /**
+     * A row of color squares and labels, ending at the right of the plot.
+     */
+    function appendSwatchLegend(legendGroup, items, plot) {
+        const legend = chartUtils.appendLegend(legendGroup, 'swatches', items);
+        legend.group.attr('transform', 'translate(' + (plot.range.x - legend.width) + ',' + (-legend.height - 5) + ')');
+    }
+
+
+    /**
+     * A horizontal gradient from the lowest to the highest value of the sequential color scale,
+     * labeled with those values at either end, ending at the right of the plot.
+     */
+    function appendColorRampLegend(legendGroup, scales, plot) {
+        const legend = chartUtils.appendColorRamp(legendGroup, 'color-ramp-legend', scales.color.scale,
+            scales.color.scale.domain(), (value) => String(formatValue(value, scales)));
+        legend.group.attr('transform', 'translate(' + (plot.range.x - legend.width) + ',' + (-legend.height - 5) + ')');
+    }
+
+
+    /**
+     * Writes the current values at the ends of the bars.
+     */
+    function appendScoreToday(paddingGroup, data, config, scales, transition) {
+        const labels = chartUtils.selectOrAppend(paddingGroup, 'g', 'scoreToday')
+            .selectAll('text:not(.exiting)')
+            .data(data, config.category);
+        chartUtils.join(labels, 'text', (texts) => texts.call(positionValueLabels, scales,
+            (d) => scales.band(config.category(d)) + scales.band.bandwidth()/2, config.value, 5), transition)
+            .text((d) => formatValue(config.value(d), scales));
     }
 
 
     /**
-     * Writes the vertical (rotated) title to the left of the Y-Axis.
+     * Draws a tick and the score for the comparison values, adjacent to the bars:
+     * to the right of vertical bars, or below horizontal bars.  Categories without a comparison value get none.
      */
-    function appendYAxisTitle(svg, plot) {
-        svg.append('text')
-            .attr('id', 'yTitle')
-            .attr('transform', 'translate(' + (plot.padding.left/3) + ','
-                + (plot.padding.top + plot.range.y/2) + ') rotate(-90)')
-            .text('Concentration %');
+    function appendScoreLastYear(paddingGroup, data, config, scales, transition) {
+        const compared = data.filter((d) => hasValue(config.comparison(d)));
+        const thickness = scales.band.bandwidth() * 0.2;
+        const barEdge = (d) => scales.band(config.category(d)) + scales.band.bandwidth()/2 + thickness/2;
+        const position = (d) => scales.value(config.comparison(d));
+        const group = chartUtils.selectOrAppend(paddingGroup, 'g', 'scoreLastYear');
+        const placeLines = (lines) => scales.horizontal
+            ? lines.attr('x1', position)
+                .attr('y1', barEdge)
+                .attr('x2', position)
+                .attr('y2', (d) => barEdge(d) + 6)
+            : lines.attr('x1', barEdge)
+                .attr('y1', position)
+                .attr('x2', (d) => barEdge(d) + 6)
+                .attr('y2', position);
+        const placeTexts = (texts) => scales.horizontal
+            ? texts.attr('x', position)
+                .attr('y', (d) => barEdge(d) + 17)
+                .style('text-anchor', 'middle')
+            : texts.attr('x', (d) => barEdge(d) + 8)
+                .attr('y', (d) => position(d) + 4);
+        chartUtils.join(group.selectAll('line:not(.exiting)').data(compared, config.category), 'line', placeLines,
+            transition);
+        chartUtils.join(group.selectAll('text:not(.exiting)').data(compared, config.category), 'text', placeTexts,
+            transition)
+            .text((d) => formatValue(config.comparison(d), scales));
     }
 
 
     /**
-     * Writes a footnote below the X-Axis.
+     * Writes the value axis title: rotated to the left of a vertical value axis,
+     * or centered under a horizontal one.
      */
-    function appendFootnote(svg, plot) {
-        svg.append('text')
-            .attr('id', 'footnote')
+    function appendValueAxisTitle(svg, config, scales, plot) {
+        const title = chartUtils.selectOrAppend(svg, 'text', 'valueTitle')
+            .text(config.valueAxisTitle);
+        if (scales.horizontal) {
+            title.attr('x', plot.padding.left + plot.range.x/2)
+                .attr('y', plot.padding.top + plot.range.y + plot.padding.bottom * 0.55);
+        }
+        else {
+            title.attr('transform', 'translate(' + (plot.padding.left/3) + ','
+                + (plot.padding.top + plot.range.y/2) + ') rotate(-90)');
+        }
+    }
+
+
+    /**
+     * Writes a footnote at the bottom of the chart.
+     */
+    function appendFootnote(svg, config, plot) {
+        chartUtils.selectOrAppend(svg, 'text', 'footnote')
             .attr('x', plot.svg.width/2)
             .attr('y', plot.svg.height - plot.padding.bottom/4)
-            .text("Bold score represents today's value.  Italic score represents last year's value.");
+            .text(config.footnote);
     }
 
 
     /**
-     * Top level D3 drawing function.
+     * Summarizes the chart for screen readers: its kind and what it shows, and the highest and lowest bars
+     * (by total, in the grouped and stacked modes).
      */
-    function draw() {
-        const data = getData();
-        const svg = d3.select('body').append('svg');
-        const plot = getPlotArea();
-        const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot);
-        const scales = makeScales(data, plot);
-        defineDashedLine(svg);
-        appendYAxisDashedLines(paddingGroup, scales, plot);
-        appendXAxis(paddingGroup, scales, plot);
-        appendYAxis(paddingGroup, scales);
-        appendBars(paddingGroup, data, scales, plot);
-        appendScoreToday(paddingGroup, data, scales);
-        appendScoreLastYear(paddingGroup, data, scales);
-        appendChartTitle(svg, plot);
-        appendYAxisTitle(svg, plot);
-        appendFootnote(svg, plot);
+    function describeBars(data, config, layout, scales) {
+        const single = config.mode === 'single';
+        const kind = { single: 'Bar chart', grouped: 'Grouped bar chart', stacked: 'Stacked bar chart' }[config.mode];
+        const subject = config.valueAxisTitle || (single ? '' : layout.series.map((s) => s.label).join(', '));
+        const total = single ? config.value : (d) => d3.sum(layout.series, (s) => s.value(d));
+        const sentences = [kind + (subject ? ' of ' + subject : '') + ', with ' + data.length + ' categories.'];
+        if (data.length) {
+            const describe = (d) => config.category(d) + ', ' + formatValue(total(d), scales) + '.';
+            const highest = data[d3.scan(data, (a, b) => total(b) - total(a))];
+            const lowest = data[d3.scan(data, (a, b) => total(a) - total(b))];
+            sentences.push((single ? 'Highest: ' : 'Highest total: ') + describe(highest));
+            sentences.push((single ? 'Lowest: ' : 'Lowest total: ') + describe(lowest));
+        }
+        return sentences.join(' ');
     }
 
 
-    window.onload = draw;
+    /**
+     * Makes the bars reachable by keyboard (see chartUtils.navigateMarks), category by category, and series by
+     * series within a category.  Each bar is read out as its category, series and value; in single mode, as the
+     * category, value and comparison value.
+     */
+    function navigateBars(bars, data, config, layout, scales, announce) {
+        const single = config.mode === 'single';
+        const rank = (d) => single ? data.indexOf(d) : data.indexOf(d.data) * layout.series.length + d.series.index;
+        const label = (d) => single
+            ? config.category(d) + ': ' + formatValue(config.value(d), scales)
+                + (config.comparison && hasValue(config.comparison(d))
+                    ? ', comparison ' + formatValue(config.comparison(d), scales)
+                    : '')
+            : config.category(d.data) + ', ' + d.series.label + ': ' + formatValue(d.series.value(d.data), scales);
+        const sorted = bars.nodes().sort((a, b) => rank(d3.select(a).datum()) - rank(d3.select(b).datum()));
+        chartUtils.navigateMarks(d3.selectAll(sorted), label, announce);
+    }
 
 
-})();
+    /**
+     * Fills the screen readers' table of the chart data: a row per category, with the value and comparison
+     * columns in single mode, or a column per series.  Missing values leave their cells blank.
+     */
+    function fillDataTable(table, data, config, layout, scales) {
+        const columns = config.mode === 'single'
+            ? [
+                { label: config.valueAxisTitle || 'Value', value: config.value },
+                { label: 'Comparison', value: config.comparison }
+            ].filter((column) => column.value)
+            : layout.series;
+        chartUtils.fillDataTable(table, config.title || 'Bar chart', [{ label: 'Category', value: config.category }]
+            .concat(columns.map((column) => ({
+                label: column.label,
+                value: (d) => hasValue(column.value(d)) ? formatValue(column.value(d), scales) : ''
+            }))), data);
+    }
+
+
+    /**
+     * Draws the whole chart into the (empty) svg, and returns the plot area and scales that were used.
+     * Given a transition, the chart is drawn over its previous drawing instead, moving the marks to the new data.
+     *
+     * For screen readers, the svg gets a title and description, and the bars can be stepped through by keyboard,
+     * with screenReader.announce reading each one out; screenReader.table gets the data.
+     */
+    function draw(svg, config, transition, screenReader) {
+        const theme = chartUtils.resolveTheme(config.theme);
+        chartUtils.applyTheme(svg, theme);
+        const layout = {
+            series: getSeries(config)
+        };
+        const data = sortData(config.data, config, layout.series);
+        if (config.mode === 'stacked') {
+            layout.stack = stackData(data, layout.series);
+        }
+        const plot = getPlotArea(svg, data, config);
+        const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot, transition);
+        const scales = makeScales(data, config, layout, plot, theme);
+        const dashedLineId = defineDashedLine(svg, scales, theme);
+        appendValueAxis(paddingGroup, config, scales, plot, transition, dashedLineId);
+        appendPlotEdge(paddingGroup, scales, plot, transition);
+        appendBandAxis(paddingGroup, scales, plot, transition);
+        appendBaseline(paddingGroup, scales, plot, transition);
+        let bars;
+        if (config.mode === 'grouped') {
+            bars = appendGroupedBars(paddingGroup, data, config, layout, scales, transition);
+        }
+        else if (config.mode === 'stacked') {
+            bars = appendStackedBars(paddingGroup, data, config, layout, scales, transition);
+        }
+        else {
+            bars = appendBars(paddingGroup, data, config, scales, transition);
+            appendScoreToday(paddingGroup, data, config, scales, transition);
+            if (config.comparison) {
+                appendScoreLastYear(paddingGroup, data, config, scales, transition);
+            }
+        }
+        if (config.legend && chartUtils.fitsWidth(config, 'legend', plot.svg.width)) {
+            appendLegend(paddingGroup, data, config, layout, scales, plot);
+        }
+        if (config.title) {
+            chartUtils.appendChartTitle(svg, plot, config.title);
+        }
+        if (config.valueAxisTitle) {
+            appendValueAxisTitle(svg, config, scales, plot);
+        }
+        if (config.footnote && chartUtils.fitsWidth(config, 'footnote', plot.svg.width)) {
+            appendFootnote(svg, config, plot);
+        }
+        navigateBars(bars, data, config, layout, scales, screenReader.announce);
+        chartUtils.describeChart(svg, config.title || 'Bar chart',
+            config.description || describeBars(data, config, layout, scales));
+        fillDataTable(screenReader.table, data, config, layout, scales);
+        return { plot, scales };
+    }
 
+
+    /**
+     * Top level D3 drawing function.  Appends a new svg to the container and draws the chart in it, at the size
+     * resolved from the config and container (see chartUtils.resolveSize).  The chart is redrawn whenever the
+     * container width changes, if its width is 'auto'.
+     *
+     * The returned handle exposes the svg selection, the effective config, the plot area and scales,
+     * and a redraw() function which applies config changes (e.g. new data) by drawing the chart again.
+     * update(data) shows new data in the drawn chart over config.transition: bars grow or shrink to their
+     * new values, and bars of new or removed categories fade in or out.
+     * Next to the svg, the container gets a visually hidden table of the data, and a live region that reads out
+     * the bars as they get keyboard focus.
+     * setTheme(theme) draws the chart again in another theme (see config.theme).
+     * download(options) saves the chart as an svg or png file (see chartUtils.downloadChart).
+     * destroy() stops redrawing the chart on container resizes (see chartUtils.observeResize).
+     */
+    function barChart(container, config) {
+        const containerSelection = chartUtils.selectContainer(container);
+        const svg = containerSelection.append('svg')
+            .attr('class', 'bar-chart');
+        const screenReader = {
+            table: chartUtils.appendScreenReaderOnly(containerSelection, 'table', 'chart-data'),
+            announce: chartUtils.appendAnnouncer(containerSelection)
+        };
+        const render = (transition) => {
+            if (!transition) {
+                svg.selectAll('*').remove();
+            }
+            const size = chartUtils.resolveSize(containerSelection, handle.config);
+            Object.assign(handle, draw(svg, Object.assign({}, handle.config, size), transition, screenReader));
+        };
+        const handle = {
+            svg: svg,
+            config: chartUtils.mergeConfig(defaultConfig, config),
+            download: (options) => chartUtils.downloadChart(svg, options),
+            redraw: (configChanges) => {
+                handle.config = chartUtils.mergeConfig(handle.config, configChanges);
+                render();
+                return handle;
+            },
+            update: (data) => {
+                handle.config = chartUtils.mergeConfig(handle.config, { data });
+                render(chartUtils.makeTransition(svg, handle.config));
+                return handle;
+            },
+            setTheme: (theme) => {
+                handle.config = Object.assign({}, handle.config, { theme });
+                render();
+                return handle;
+            },
+            destroy: () => {
+                stopObservingResize();
+                return handle;
+            }
+        };
+        const stopObservingResize = chartUtils.observeResize(containerSelection, () => {
+            if (handle.config.width === 'auto') {
+                render();
+            }
+        });
+        return handle.redraw();
+    }
+
+
+    return barChart;
+
+
+})();
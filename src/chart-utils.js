@@ -1,33 +1,970 @@
+/**
+ * Widths of the printable ASCII characters (space to tilde) in Helvetica, in thousandths of the font size.
+ */
+const helveticaWidths = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+
+/**
+ * Style properties copied from the stylesheets into an exported svg: those that affect how svg is drawn.
+ */
+const exportedStyleProperties = [
+    'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'shape-rendering',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+
+
+/**
+ * The chart themes, by name.  A theme's strings are the fonts and colors the chart stylesheets use, set as css
+ * custom properties named after them (e.g. plotBackground as --chart-plot-background, see chartUtils.applyTheme).
+ * Its palettes are read by the charts' scripts:
+ *   palette: categorical colors, for bars and series without colors of their own.
+ *   bandPalette: light colors for areas behind the data, such as the rate chart's period bands.
+ *   sequential, diverging: d3 interpolators for colors by value, from low to high, or either side of a midpoint.
+ */
+const chartThemes = {
+    light: {
+        font: 'Helvetica, Arial, sans',
+        background: 'white',
+        text: 'black',
+        line: 'black',
+        outline: 'rgb(40, 42, 44)',
+        grid: 'rgb(217, 217, 217)',
+        plotBackground: 'rgb(247, 247, 247)',
+        plate: 'white',
+        plateBorder: 'rgb(180, 180, 180)',
+        crosshair: 'rgb(90, 90, 90)',
+        accent: 'rgb(0, 130, 233)',
+        land: 'lightgray',
+        landBorder: 'white',
+        airport: 'orange',
+        westward: 'blue',
+        eastward: 'green',
+        route: 'slategray',
+        palette: ['rgb(0, 130, 233)', 'rgb(214, 39, 40)', 'rgb(44, 160, 44)', 'rgb(148, 103, 189)',
+            'rgb(255, 127, 14)', 'rgb(23, 190, 207)'],
+        bandPalette: ['rgb(214, 206, 194)', 'rgb(198, 219, 239)', 'rgb(199, 233, 192)', 'rgb(253, 208, 162)',
+            'rgb(218, 218, 235)'],
+        sequential: d3.interpolateRgb('rgb(222, 235, 247)', 'rgb(8, 81, 156)'),
+        diverging: d3.interpolateRgbBasis(['rgb(202, 0, 32)', 'rgb(247, 247, 247)', 'rgb(5, 113, 176)'])
+    },
+    dark: {
+        font: 'Helvetica, Arial, sans',
+        background: 'rgb(30, 32, 34)',
+        text: 'rgb(230, 230, 230)',
+        line: 'rgb(190, 190, 190)',
+        outline: 'rgb(15, 16, 17)',
+        grid: 'rgb(72, 75, 78)',
+        plotBackground: 'rgb(40, 42, 44)',
+        plate: 'rgb(30, 32, 34)',
+        plateBorder: 'rgb(110, 110, 110)',
+        crosshair: 'rgb(180, 180, 180)',
+        accent: 'rgb(90, 170, 255)',
+        land: 'rgb(70, 73, 77)',
+        landBorder: 'rgb(30, 32, 34)',
+        airport: 'rgb(255, 170, 40)',
+        westward: 'rgb(110, 160, 255)',
+        eastward: 'rgb(110, 210, 110)',
+        route: 'rgb(160, 170, 185)',
+        palette: ['rgb(90, 170, 255)', 'rgb(255, 110, 100)', 'rgb(110, 210, 110)', 'rgb(190, 150, 240)',
+            'rgb(255, 170, 60)', 'rgb(80, 220, 230)'],
+        bandPalette: ['rgb(78, 70, 60)', 'rgb(50, 70, 95)', 'rgb(55, 85, 55)', 'rgb(95, 70, 45)', 'rgb(70, 65, 95)'],
+        sequential: d3.interpolateRgb('rgb(40, 60, 90)', 'rgb(150, 200, 255)'),
+        diverging: d3.interpolateRgbBasis(['rgb(240, 100, 90)', 'rgb(70, 73, 77)', 'rgb(90, 170, 255)'])
+    },
+    highContrast: {
+        font: 'Helvetica, Arial, sans',
+        background: 'black',
+        text: 'white',
+        line: 'white',
+        outline: 'white',
+        grid: 'rgb(150, 150, 150)',
+        plotBackground: 'black',
+        plate: 'black',
+        plateBorder: 'white',
+        crosshair: 'yellow',
+        accent: 'yellow',
+        land: 'rgb(50, 50, 50)',
+        landBorder: 'white',
+        airport: 'yellow',
+        westward: 'cyan',
+        eastward: 'lime',
+        route: 'white',
+        palette: ['yellow', 'cyan', 'magenta', 'lime', 'rgb(255, 140, 0)', 'white'],
+        bandPalette: ['rgb(70, 70, 70)', 'rgb(0, 50, 110)', 'rgb(0, 80, 0)', 'rgb(110, 50, 0)', 'rgb(80, 0, 80)'],
+        sequential: d3.interpolateRgb('rgb(0, 40, 120)', 'white'),
+        diverging: d3.interpolateRgbBasis(['magenta', 'black', 'cyan'])
+    }
+};
+
+
+/**
+ * Count of the charts given a title and description, to make their element ids unique on the page.
+ */
+let describedChartCount = 0;
+
+
+/**
+ * Count of the color ramps drawn, to make their gradient ids unique on the page.
+ */
+let colorRampCount = 0;
+
+
 /**
  * Common functions shared by the D3 chart scripts.
  */
 const chartUtils = {
 
+    /**
+     * Resolves the chart container, which may be given as a D3 selection, a DOM element or a selector string.
+     */
+    selectContainer: (container) => {
+        return container instanceof d3.selection ? container : d3.select(container);
+    },
+
+
+    /**
+     * Returns a new config object: the defaults overridden by the caller's config.
+     * Nested plain objects (e.g. padding) are merged one level deep, so callers may override a single field;
+     * any other value (e.g. a theme name in place of a theme object) replaces the default outright.  Objects are
+     * told apart by their tag rather than their constructor, as a config made in another window (e.g. in Node, for
+     * a chart drawn in jsdom) has that window's Object.
+     */
+    mergeConfig: (defaults, config) => {
+        const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+        const merged = Object.assign({}, defaults, config);
+        Object.keys(defaults).forEach((key) => {
+            if (isPlainObject(defaults[key]) && config && isPlainObject(config[key])) {
+                merged[key] = Object.assign({}, defaults[key], config[key]);
+            }
+        });
+        return merged;
+    },
+
+
+    /**
+     * Options every chart takes, with their defaults, which each chart's defaultConfig adds its own to:
+     *
+     * width 'auto' fits the chart to its container's width, redrawing it when the container is resized, and
+     * height 'auto' follows the width by aspectRatio; either may be given in pixels instead (see resolveSize).
+     *
+     * transition times the changes made by the handle's update(data): a duration in milliseconds, and an easing
+     * function such as d3.easeLinear (see makeTransition).
+     *
+     * theme sets the fonts and colors: 'light', 'dark', 'highContrast' or a theme object (see resolveTheme).
+     */
+    sharedConfig: {
+        width: 'auto',
+        height: 'auto',
+        aspectRatio: 0.625,
+        transition: {
+            duration: 750,
+            ease: d3.easeCubicInOut
+        },
+        theme: 'light'
+    },
+
+
+    /**
+     * Returns the theme for config.theme: one of the presets in chartThemes by name ('light', 'dark' or
+     * 'highContrast'), or a theme object, whose missing fonts, colors and palettes are taken from the light one.
+     */
+    resolveTheme: (theme) => {
+        if (typeof theme !== 'string') {
+            return Object.assign({}, chartThemes.light, theme);
+        }
+        if (!chartThemes[theme]) {
+            throw new Error("Unknown theme: '" + theme + "'");
+        }
+        return chartThemes[theme];
+    },
+
+
+    /**
+     * Sets the theme's fonts and colors as css custom properties on the selection, e.g. the chart svg, for the
+     * chart stylesheets to use: background as --chart-background, plotBackground as --chart-plot-background
+     * and so on.  As they are inherited, setting another theme restyles the chart without drawing it again.
+     */
+    applyTheme: (selection, theme) => {
+        Object.keys(theme)
+            .filter(key => typeof theme[key] === 'string')
+            .forEach(key => {
+                const property = '--chart-' + key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+                selection.style(property, theme[key]);
+            });
+        return selection;
+    },
+
+
+    /**
+     * Turns an arbitrary name (e.g. a data category) into a valid css class name:
+     * lower case, with each run of spaces or punctuation replaced by a hyphen (and none at either end),
+     * after the given prefix.
+     */
+    toClassName: (prefix, name) => {
+        return prefix + String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+
+
+    /**
+     * Returns the { width, height } to draw a chart at.  A config width of 'auto' takes the container's width
+     * (or fallbackWidth, 800, where the container has no layout, e.g. in jsdom), and a height of 'auto' follows
+     * from the width by config.aspectRatio (height / width).
+     */
+    resolveSize: (container, config) => {
+        const node = container.node();
+        const width = config.width === 'auto' ? (node && node.clientWidth) || chartUtils.fallbackWidth : config.width;
+        const height = config.height === 'auto' ? Math.round(width * config.aspectRatio) : config.height;
+        return { width, height };
+    },
+
+
+    fallbackWidth: 800,
+
+
+    /**
+     * Tells whether an optional part of a chart (e.g. 'legend' or 'footnote') is drawn at the given chart width:
+     * config.breakpoints gives the minimum width for each, so small screens drop the parts listed there.
+     */
+    fitsWidth: (config, part, width) => {
+        return width >= ((config.breakpoints || {})[part] || 0);
+    },
+
+
+    /**
+     * Calls onResize whenever the container's width changes, at most once per animation frame.  Uses a
+     * ResizeObserver where the browser has one, and window resize events otherwise.  Returns a function to stop,
+     * which each chart handle's destroy() calls, e.g. before the chart is removed from the page.
+     */
+    observeResize: (container, onResize) => {
+        const node = container.node();
+        let lastWidth = node.clientWidth;
+        let frame = null;
+        const check = () => {
+            if (frame !== null) {
+                return;
+            }
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                if (node.clientWidth !== lastWidth) {
+                    lastWidth = node.clientWidth;
+                    onResize();
+                }
+            });
+        };
+        if (typeof ResizeObserver === 'function') {
+            const observer = new ResizeObserver(check);
+            observer.observe(node);
+            return () => observer.disconnect();
+        }
+        window.addEventListener('resize', check);
+        return () => window.removeEventListener('resize', check);
+    },
+
+
+    /**
+     * Passes the error to the 'error' listeners of the dispatch, registered through the chart handle's
+     * on('error', listener), or throws it if there are none.  The charts that load files report loading and
+     * parsing failures this way, as an error thrown from a request callback is out of reach of the caller.
+     */
+    reportError: (dispatch, handle, error) => {
+        if (!dispatch.on('error')) {
+            throw error;
+        }
+        dispatch.call('error', handle, error);
+    },
+
+
+    /**
+     * Returns the plot area model shared by the charts:
+     *   svg: the { width, height } of the whole chart, from the config.
+     *   padding: the margins around the plot area, from config.padding overridden by paddingChanges (optional),
+     *     e.g. a left margin widened to fit the category names.  Titles, axes and legends are drawn in them.
+     *   range: the { x, y } size of the plot area itself, i.e. the drawn axis lengths in pixels.
+     */
+    makePlotArea: (config, paddingChanges) => {
+        const plot = {
+            svg: {
+                width: config.width,
+                height: config.height
+            },
+            padding: Object.assign({}, config.padding, paddingChanges)
+        };
+        plot.range = {
+            x: plot.svg.width - plot.padding.left - plot.padding.right,
+            y: plot.svg.height - plot.padding.top - plot.padding.bottom
+        };
+        return plot;
+    },
+
+
     /**
      * Sets the svg width/height and inserts a group with padding specified by the input plot object.
+     * On an update, the existing group is returned, moved by the transition if the padding changed.
+     *
+     * The viewBox keeps the chart's coordinates when css scales the svg, e.g. shrinking it with the page
+     * before the chart is redrawn at the new size.  A rect behind everything else fills the svg with the
+     * theme's background color (rect.chart-background in the chart stylesheets).
      */
-    setupSvgAndPaddingGroup: (svg, plot) => {
+    setupSvgAndPaddingGroup: (svg, plot, transition) => {
         svg.attr('width', plot.svg.width + 'px')
-            .attr('height', plot.svg.height + 'px');
-        const paddingGroup = svg.append('g')
+            .attr('height', plot.svg.height + 'px')
+            .attr('viewBox', '0 0 ' + plot.svg.width + ' ' + plot.svg.height)
+            .style('max-width', '100%')
+            .style('height', 'auto');
+        chartUtils.selectOrAppend(svg, 'rect', 'chart-background', svg.node().firstChild)
+            .attr('width', '100%')
+            .attr('height', '100%');
+        const paddingGroup = chartUtils.selectOrAppend(svg, 'g', 'plot-area');
+        chartUtils.animate(paddingGroup, transition)
             .attr('transform', 'translate(' + plot.padding.left + ',' + plot.padding.top + ')');
         return paddingGroup;
     },
 
 
+    /**
+     * Returns the parent's child element of the given tag and class(es), or inserts a new one if there is none
+     * yet, before the given node (or last).  This lets a chart draw into the same element again, e.g. on update.
+     */
+    selectOrAppend: (parent, tag, className, before) => {
+        const existing = parent.selectAll(function() { return this.children; })
+            .filter(tag + '.' + className.split(' ').join('.'));
+        if (!existing.empty()) {
+            return existing;
+        }
+        return parent.insert(tag, before ? () => before : null)
+            .attr('class', className);
+    },
+
+
+    /**
+     * Returns the parent's child group of the given class(es), emptied, or inserts a new one if there is none yet,
+     * before the given node (or last).  This lets a chart draw a layer again in place, e.g. after zooming.
+     */
+    resetGroup: (parent, className, before) => {
+        const group = chartUtils.selectOrAppend(parent, 'g', className, before);
+        group.selectAll('*').remove();
+        return group;
+    },
+
+
+    /**
+     * Returns a transition for drawing a chart's new data, timed by config.transition: { duration, ease }.
+     *
+     * On an update, each chart draws into its existing svg, joining the new data to its marks by key: the marks
+     * that carry over move (or grow) to their new place over the transition, entering marks fade in (see fadeIn),
+     * and exiting marks fade out (see removeExit).  The transition is named, so that it runs alongside a chart's
+     * own transitions on the same elements, such as the map's period changes, rather than interrupting them.
+     */
+    makeTransition: (svg, config) => {
+        return svg.transition('update')
+            .duration(config.transition.duration)
+            .ease(config.transition.ease);
+    },
+
+
+    /**
+     * Returns the selection's transition, to set attributes over it, or the selection itself to set them at once
+     * when there is no transition (the first draw).
+     */
+    animate: (selection, transition) => {
+        return transition ? selection.transition(transition) : selection;
+    },
+
+
+    /**
+     * Fades in the entering elements of a data join over the transition, if any.
+     */
+    fadeIn: (entered, transition) => {
+        if (transition) {
+            entered.style('opacity', 0)
+                .transition(transition)
+                .style('opacity', 1);
+        }
+        return entered;
+    },
+
+
+    /**
+     * Removes the exiting elements of a data join: faded out over the transition, or at once without one.
+     * Until they are gone, they are classed 'exiting', so that joins select the remaining elements with
+     * selectors such as 'rect:not(.exiting)'.
+     */
+    removeExit: (exit, transition) => {
+        if (!transition) {
+            return exit.remove();
+        }
+        return exit.classed('exiting', true)
+            .transition(transition)
+            .style('opacity', 0)
+            .remove();
+    },
+
+
+    /**
+     * Completes a keyed data join of marks, e.g. svg.selectAll('text:not(.exiting)').data(data, key): appends
+     * a tag element for each entering datum, and places the marks with the place(selection) function.  Entering
+     * marks fade in at their place, exiting ones fade out, and the others move over the transition, if any.
+     * Returns the entering and updated marks together.
+     */
+    join: (marks, tag, place, transition) => {
+        chartUtils.removeExit(marks.exit(), transition);
+        const entered = marks.enter()
+            .append(tag)
+            .call(place);
+        chartUtils.fadeIn(entered, transition);
+        chartUtils.animate(marks, transition).call(place);
+        return entered.merge(marks);
+    },
+
+
+    /**
+     * Writes the title centered at the top of the chart, in the top padding.
+     */
+    appendChartTitle: (svg, plot, title) => {
+        return chartUtils.selectOrAppend(svg, 'text', 'chartTitle')
+            .attr('x', plot.svg.width/2)
+            .attr('y', plot.padding.top * 0.66)
+            .text(title);
+    },
+
+
+    /**
+     * Draws (or draws again in place) an axis of the plot area in the parent group, and returns the axis group.
+     * Given a transition, the axis and grid lines move to the new scale over it, as chart updates do.
+     * The options are:
+     *   orient: 'bottom', 'left', 'right' or 'top'; bottom and right axes are placed at the far edge of the plot.
+     *   className: the axis group class(es), e.g. 'xAxis'.
+     *   ticks, tickValues, tickFormat: as for a d3 axis.
+     *   grid: optional grid lines across the plot area at the ticks, drawn under the axis, in a group classed
+     *     'grid' and 'horizontal' or 'vertical', plus grid.className if given.  grid.skipFirst leaves out the
+     *     line at the first tick, e.g. where it would crowd a border line of the plot.
+     */
+    appendAxis: (parent, scale, plot, options, transition) => {
+        const horizontal = options.orient === 'bottom' || options.orient === 'top';
+        const axis = {
+            bottom: d3.axisBottom,
+            left: d3.axisLeft,
+            right: d3.axisRight,
+            top: d3.axisTop
+        }[options.orient](scale);
+        if (options.ticks !== undefined) {
+            axis.ticks(options.ticks);
+        }
+        if (options.tickValues) {
+            axis.tickValues(options.tickValues);
+        }
+        if (options.tickFormat) {
+            axis.tickFormat(options.tickFormat);
+        }
+        const axisGroup = chartUtils.selectOrAppend(parent, 'g', options.className);
+        chartUtils.animate(axisGroup, transition)
+            .attr('transform', options.orient === 'bottom' ? 'translate(0,' + plot.range.y + ')'
+                : options.orient === 'right' ? 'translate(' + plot.range.x + ',0)' : null)
+            .call(axis);
+        if (options.grid) {
+            const gridClass = ['grid', horizontal ? 'vertical' : 'horizontal', options.grid.className]
+                .filter(c => c).join(' ');
+            const gridGroup = chartUtils.selectOrAppend(parent, 'g', gridClass, axisGroup.node());
+            const values = options.tickValues || (scale.ticks ? scale.ticks(options.ticks) : scale.domain());
+            const offset = (scale.bandwidth ? scale.bandwidth()/2 : 0) + 0.5; //lines up with the d3 axis ticks
+            const place = (lines) => lines
+                .attr('x1', d => horizontal ? scale(d) + offset : 0)
+                .attr('y1', d => horizontal ? 0 : scale(d) + offset)
+                .attr('x2', d => horizontal ? scale(d) + offset : plot.range.x)
+                .attr('y2', d => horizontal ? plot.range.y : scale(d) + offset);
+            const lines = gridGroup.selectAll('line:not(.exiting)')
+                .data(options.grid.skipFirst ? values.slice(1) : values, d => d);
+            chartUtils.join(lines, 'line', place, transition);
+        }
+        return axisGroup;
+    },
+
+
+    /**
+     * Draws a legend in the group of the given class(es), emptied or appended, sized to fit its labels, and
+     * returns the group with the legend's width and height, so the caller can place it: { group, width, height }.
+     *
+     * Each item is { label, swatch, className, color }, where swatch is 'rect', 'circle' or 'line' (default
+     * options.swatch), className classes the swatch, and color sets the swatch's fill, or a line's stroke.
+     * A fill can be overridden by a css rule for the class; a line's stroke is set as a style, since the chart
+     * stylesheets give all lines a stroke.  Without a color, the swatch is colored by css alone.
+     *
+     * The options are:
+     *   layout: 'row' (items side by side) or 'column' (one item per row).
+     *   align: 'left' or 'right'; a right aligned column has its swatches at the right, after the labels.
+     *   swatch: the default swatch shape, 'rect'.
+     *   swatchSize: the swatch height, and width, but lines are twice as long: 10.
+     *   spacing: between swatch and label, and between rows: 5.
+     *   itemSpacing: between the items of a row: 15.
+     *   plate: whether to draw a backing rect, classed 'legend-plate', with a margin of spacing around the items.
+     */
+    appendLegend: (parent, className, items, options) => {
+        options = Object.assign({
+            layout: 'row',
+            align: 'left',
+            swatch: 'rect',
+            swatchSize: 10,
+            spacing: 5,
+            itemSpacing: 15,
+            plate: false
+        }, options);
+        const size = options.swatchSize;
+        const spacing = options.spacing;
+        const margin = options.plate ? spacing : 0;
+        const group = chartUtils.resetGroup(parent, className);
+        const plate = options.plate ? group.append('rect').attr('class', 'legend-plate') : null;
+        const swatchWidth = (item) => (item.swatch || options.swatch) === 'line' ? 2 * size : size;
+        const textWidths = items.map(item => chartUtils.calcTextWidth(group, item.label, 'legend-hidden'));
+        group.selectAll('.legend-hidden').remove();
+        const itemWidths = items.map((item, i) => swatchWidth(item) + spacing + textWidths[i]);
+        const column = options.layout === 'column';
+        const width = column
+            ? d3.max(itemWidths) + 2 * margin
+            : d3.sum(itemWidths) + options.itemSpacing * (items.length - 1) + 2 * margin;
+        const height = column
+            ? items.length * (size + spacing) - spacing + 2 * margin
+            : size + 2 * margin;
+        let x = margin;
+        items.forEach((item, i) => {
+            const y = column ? margin + i * (size + spacing) : margin;
+            const right = column && options.align === 'right';
+            const shape = item.swatch || options.swatch;
+            const swatchX = right ? width - margin - swatchWidth(item) : x;
+            const swatch = chartUtils.appendSwatch(group, shape, swatchX, y, swatchWidth(item), size)
+                .attr('class', item.className);
+            if (item.color && shape === 'line') {
+                swatch.style('stroke', item.color);
+            }
+            else if (item.color) {
+                swatch.attr('fill', item.color);
+            }
+            group.append('text')
+                .attr('x', right ? swatchX - spacing : x + swatchWidth(item) + spacing)
+                .attr('y', y + size - 1)
+                .style('text-anchor', right ? 'end' : 'start')
+                .text(item.label);
+            x += itemWidths[i] + options.itemSpacing;
+        });
+        if (plate) {
+            plate.attr('width', width)
+                .attr('height', height);
+        }
+        return { group, width, height };
+    },
+
+
+    /**
+     * Appends one legend swatch in the box at (x, y) of the given width and height, and returns it.
+     */
+    appendSwatch: (group, shape, x, y, width, height) => {
+        if (shape === 'circle') {
+            return group.append('circle')
+                .attr('cx', x + width/2)
+                .attr('cy', y + height/2)
+                .attr('r', Math.min(width, height)/2);
+        }
+        if (shape === 'line') {
+            return group.append('line')
+                .attr('x1', x)
+                .attr('y1', y + height/2)
+                .attr('x2', x + width)
+                .attr('y2', y + height/2);
+        }
+        return group.append('rect')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('width', width)
+            .attr('height', height);
+    },
+
+
+    /**
+     * Draws a color ramp legend in the group of the given class(es), emptied or appended: a gradient of the color
+     * scale over the extent [min, max], between the formatted min and max values.  Returns the group with the
+     * legend's width and height, so the caller can place it, as appendLegend does: { group, width, height }.
+     *
+     * The options are:
+     *   label: text put before the min value, classed 'color-ramp-label'; none by default.
+     *   rampWidth: 120.
+     *   rampHeight: 10.
+     *   spacing: between the label, values and ramp: 5, doubled after the label.
+     */
+    appendColorRamp: (parent, className, color, extent, format, options) => {
+        options = Object.assign({
+            label: null,
+            rampWidth: 120,
+            rampHeight: 10,
+            spacing: 5
+        }, options);
+        const spacing = options.spacing;
+        const group = chartUtils.resetGroup(parent, className);
+        const gradientId = 'chart-color-ramp-' + (++colorRampCount);
+        group.append('defs')
+            .append('linearGradient')
+            .attr('id', gradientId)
+            .selectAll('stop')
+            .data(d3.range(0, 1.01, 0.1))
+            .enter()
+            .append('stop')
+            .attr('offset', t => t)
+            .attr('stop-color', t => color(extent[0] + t * (extent[1] - extent[0])));
+        const minText = format(extent[0]);
+        const maxText = format(extent[1]);
+        const labelWidth = options.label
+            ? chartUtils.calcTextWidth(group, options.label, 'color-ramp-label legend-hidden') + 2 * spacing
+            : 0;
+        const minWidth = chartUtils.calcTextWidth(group, minText, 'legend-hidden');
+        const maxWidth = chartUtils.calcTextWidth(group, maxText, 'legend-hidden');
+        group.selectAll('.legend-hidden').remove();
+        const rampX = labelWidth + minWidth + spacing;
+        const textY = options.rampHeight - 1;
+        if (options.label) {
+            group.append('text')
+                .attr('class', 'color-ramp-label')
+                .attr('x', labelWidth - 2 * spacing)
+                .attr('y', textY)
+                .style('text-anchor', 'end')
+                .text(options.label);
+        }
+        group.append('text')
+            .attr('x', rampX - spacing)
+            .attr('y', textY)
+            .style('text-anchor', 'end')
+            .text(minText);
+        group.append('rect')
+            .attr('class', 'color-ramp')
+            .attr('x', rampX)
+            .attr('width', options.rampWidth)
+            .attr('height', options.rampHeight)
+            .attr('fill', 'url(#' + gradientId + ')');
+        group.append('text')
+            .attr('x', rampX + options.rampWidth + spacing)
+            .attr('y', textY)
+            .text(maxText);
+        return {
+            group,
+            width: rampX + options.rampWidth + spacing + maxWidth,
+            height: options.rampHeight
+        };
+    },
+
+
+    /**
+     * Appends a tooltip to the parent: a text box, hidden until shown, that stays within the plot's range.
+     * Returns { show(lines, x, y, offset), hide() }, where show puts the lines of text offset pixels to the right
+     * of x, y, or to the left near the right edge, and centered on y but clamped to the top and bottom.
+     */
+    appendTooltip: (parent, plot) => {
+        const tooltip = chartUtils.resetGroup(parent, 'tooltip')
+            .style('display', 'none');
+        const tooltipPlate = tooltip.append('rect')
+            .attr('class', 'tooltip-plate');
+        const tooltipText = tooltip.append('text');
+        return {
+            show: (lines, x, y, offset) => {
+                tooltipText.selectAll('tspan').remove();
+                lines.forEach((line, i) => {
+                    tooltipText.append('tspan')
+                        .attr('x', 6)
+                        .attr('y', 15 + 14 * i)
+                        .text(line);
+                });
+                const width = d3.max(lines, line => chartUtils.calcTextWidth(tooltip, line, 'tooltip-hidden')) + 12;
+                tooltip.selectAll('.tooltip-hidden').remove();
+                const height = 14 * lines.length + 8;
+                tooltipPlate.attr('width', width).attr('height', height);
+                const tooltipX = x + offset + width > plot.range.x ? x - offset - width : x + offset;
+                const tooltipY = Math.max(0, Math.min(plot.range.y - height, y - height / 2));
+                tooltip.attr('transform', 'translate(' + tooltipX + ',' + tooltipY + ')')
+                    .style('display', null);
+            },
+            hide: () => tooltip.style('display', 'none')
+        };
+    },
+
+
     /**
      * Draws a hidden text element with the given string and class, and returns the computed pixel width.
      *
      * This element is only for computing length prior to rendering.  So we'll place it out of the SVG viewPort,
      * where it can't be seen, rather than hide it with display:none, which would lead to computed length = 0.
+     *
+     * Outside a browser (e.g. in jsdom) there is no text layout, so the width is estimated from font metrics.
      */
     calcTextWidth: (group, textString, textClass) => {
         const textElement = group.append('text')
             .attr('class', textClass)
             .attr('x', -99999)
             .text(textString);
-        return textElement.node().getComputedTextLength();
+        const node = textElement.node();
+        return typeof node.getComputedTextLength === 'function'
+            ? node.getComputedTextLength()
+            : chartUtils.estimateTextWidth(textString, node);
+    },
+
+
+    /**
+     * Estimates the pixel width of a string from the character widths of Helvetica, which Arial shares.
+     * The font size and weight come from the element's computed style, defaulting to the 12px of the chart
+     * stylesheets; bold text is taken as 10% wider.
+     */
+    estimateTextWidth: (textString, element) => {
+        const style = element && element.ownerDocument.defaultView.getComputedStyle(element);
+        const fontSize = (style && parseFloat(style.fontSize)) || 12;
+        const bold = style && (style.fontWeight === 'bold' || style.fontWeight >= 600);
+        const ems = Array.from(String(textString)).reduce((sum, c) => {
+            const code = c.charCodeAt(0);
+            const width = code >= 32 && code < 32 + helveticaWidths.length ? helveticaWidths[code - 32] : 556;
+            return sum + width / 1000;
+        }, 0);
+        return ems * fontSize * (bold ? 1.1 : 1);
+    },
+
+
+    /**
+     * Labels the chart svg for assistive technology, named by the title and described by the description, e.g. a
+     * summary of the data, in its <title> and <desc>.  Called again on redraw, it updates them in place.
+     *
+     * A chart with nothing to focus is an image (role img).  One with focusable marks (see navigateMarks) is a
+     * group instead, as the children of an img are presentational, and the marks would lose their labels.  So
+     * call it after making the marks focusable.
+     */
+    describeChart: (svg, title, description) => {
+        const firstChild = svg.node().firstChild;
+        const desc = chartUtils.selectOrAppend(svg, 'desc', 'chart-description', firstChild);
+        const titleElement = chartUtils.selectOrAppend(svg, 'title', 'chart-title', desc.node());
+        if (!titleElement.attr('id')) {
+            const id = 'chart-' + (++describedChartCount);
+            titleElement.attr('id', id + '-title');
+            desc.attr('id', id + '-description');
+        }
+        titleElement.text(title);
+        desc.text(description);
+        return svg.attr('role', svg.select('[tabindex]').empty() ? 'img' : 'group')
+            .attr('aria-labelledby', titleElement.attr('id'))
+            .attr('aria-describedby', desc.attr('id'));
+    },
+
+
+    /**
+     * Appends an element of the given tag and class to the container which is hidden from view but not from
+     * screen readers, e.g. a chart's data table.
+     */
+    appendScreenReaderOnly: (container, tag, className) => {
+        return container.append(tag)
+            .attr('class', className)
+            .style('position', 'absolute')
+            .style('width', '1px')
+            .style('height', '1px')
+            .style('margin', '-1px')
+            .style('padding', 0)
+            .style('border', 0)
+            .style('overflow', 'hidden')
+            .style('clip', 'rect(0 0 0 0)')
+            .style('white-space', 'nowrap');
+    },
+
+
+    /**
+     * Appends a live region to the container, and returns a function which has screen readers announce a text,
+     * e.g. the data point that got keyboard focus.
+     */
+    appendAnnouncer: (container) => {
+        const region = chartUtils.appendScreenReaderOnly(container, 'div', 'chart-announcer')
+            .attr('aria-live', 'polite');
+        return (text) => region.text(text);
+    },
+
+
+    /**
+     * Fills the table with the chart data, as a text alternative to the chart: the caption, a header row of the
+     * column labels, and a row per datum.  columns are { label, value(d) }, and the first column's cells head
+     * their rows.
+     */
+    fillDataTable: (table, caption, columns, rows) => {
+        table.selectAll('*').remove();
+        table.append('caption')
+            .text(caption);
+        table.append('thead')
+            .append('tr')
+            .selectAll('th')
+            .data(columns)
+            .enter()
+            .append('th')
+            .attr('scope', 'col')
+            .text((column) => column.label);
+        table.append('tbody')
+            .selectAll('tr')
+            .data(rows)
+            .enter()
+            .append('tr')
+            .each(function (row) {
+                columns.forEach((column, i) => {
+                    d3.select(this)
+                        .append(i === 0 ? 'th' : 'td')
+                        .attr('scope', i === 0 ? 'row' : null)
+                        .text(column.value(row));
+                });
+            });
+        return table;
+    },
+
+
+    /**
+     * Returns the index that a navigation key moves to from index, among count items: the arrow keys step to the
+     * previous (left, up) or next (right, down) item, and Home and End jump to the first and last.  Returns
+     * undefined for any other key.
+     */
+    keyboardTarget: (key, index, count) => {
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            Home: 0,
+            End: count - 1
+        };
+        return key in targets ? Math.max(0, Math.min(count - 1, targets[key])) : undefined;
+    },
+
+
+    /**
+     * Makes the marks (e.g. the bars of a chart) reachable by keyboard, in the order of the selection.  The marks
+     * are a single tab stop, at the mark focused last (at first, the first one), and the navigation keys move
+     * between them (see keyboardTarget).  Each mark is an image (role img) labelled by label(d), which
+     * announce(text) also reads out when the mark gets focus.
+     *
+     * The options let the chart show the focused mark as hovering it would, with onFocus(d) and onBlur(d), and
+     * act on Enter or Space, with onActivate(d).
+     */
+    navigateMarks: (marks, label, announce, options) => {
+        options = options || {};
+        const nodes = marks.nodes();
+        const current = Math.max(0, nodes.findIndex(node => node.getAttribute('tabindex') === '0'));
+        marks.attr('tabindex', (d, i, group) => group[i] === nodes[current] ? 0 : -1)
+            .attr('role', 'img')
+            .attr('aria-label', label)
+            .on('focus', function (d) {
+                marks.attr('tabindex', -1);
+                d3.select(this).attr('tabindex', 0);
+                announce(label(d));
+                if (options.onFocus) {
+                    options.onFocus(d);
+                }
+            })
+            .on('blur', (d) => {
+                if (options.onBlur) {
+                    options.onBlur(d);
+                }
+            })
+            .on('keydown', function (d) {
+                const key = d3.event.key;
+                const target = chartUtils.keyboardTarget(key, nodes.indexOf(this), nodes.length);
+                if (target !== undefined) {
+                    d3.event.preventDefault();
+                    nodes[target].focus();
+                }
+                else if ((key === 'Enter' || key === ' ') && options.onActivate) {
+                    d3.event.preventDefault();
+                    options.onActivate(d);
+                }
+            });
+        return marks;
+    },
+
+
+    /**
+     * Returns the chart svg as a standalone svg document.  The chart stylesheet (e.g. bar-chart.css) doesn't
+     * travel with the markup, so the computed value of each presentation property is written into the
+     * style attribute of every element.  Computed values have the theme's custom properties resolved, so the
+     * file keeps the theme the chart was drawn in.
+     */
+    serializeSvg: (svg) => {
+        const original = svg.node();
+        const copy = original.cloneNode(true);
+        const originals = [original].concat(Array.from(original.querySelectorAll('*')));
+        const copies = [copy].concat(Array.from(copy.querySelectorAll('*')));
+        originals.forEach((element, i) => {
+            const computed = window.getComputedStyle(element);
+            exportedStyleProperties.forEach(property => {
+                const value = computed.getPropertyValue(property);
+                if (value) {
+                    copies[i].style.setProperty(property, value);
+                }
+            });
+        });
+        copy.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns', 'http://www.w3.org/2000/svg');
+        copy.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(copy);
+    },
+
+
+    /**
+     * Downloads the chart as a standalone svg file, or as a png image.  The options are:
+     *   format: 'svg' or 'png'.
+     *   filename: without the extension, which is added for the format.
+     *   pixelRatio: png pixels per svg pixel, e.g. 2 for a sharp image on a high density screen.
+     * Returns a promise which resolves once the file is saved (the png is drawn asynchronously).
+     */
+    downloadChart: (svg, options) => {
+        options = Object.assign({ format: 'svg', filename: 'chart', pixelRatio: 2 }, options);
+        const svgBlob = new Blob([chartUtils.serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' });
+        if (options.format === 'svg') {
+            chartUtils.saveFile(svgBlob, options.filename + '.svg');
+            return Promise.resolve();
+        }
+        if (options.format !== 'png') {
+            return Promise.reject(new Error("Unknown export format: '" + options.format + "'"));
+        }
+        const width = parseFloat(svg.attr('width'));
+        const height = parseFloat(svg.attr('height'));
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(svgBlob);
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * options.pixelRatio);
+                canvas.height = Math.round(height * options.pixelRatio);
+                const context = canvas.getContext('2d');
+                context.fillStyle = 'white';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.scale(options.pixelRatio, options.pixelRatio);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => {
+                    chartUtils.saveFile(blob, options.filename + '.png');
+                    resolve();
+                });
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not draw the chart svg as an image'));
+            };
+            image.src = url;
+        });
+    },
+
+
+    /**
+     * Has the browser save the blob as a file with the given name, through a temporary download link.
+     */
+    saveFile: (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
 };
-
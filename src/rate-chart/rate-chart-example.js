@@ -0,0 +1,21 @@
+'use strict';
+(function () {
+
+
+    /**
+     * Plots the example data, rate-data.csv: monthly 10 year treasury rates and recessions.
+     */
+    function draw() {
+        rateChart('body', {
+            data: 'rate-data.csv',
+            series: [
+                { column: '10YTR', label: '10 Year Treasury Rate' }
+            ]
+        });
+    }
+
+
+    window.onload = draw;
+
+
+})();
@@ -1,58 +1,236 @@
 'use strict';
-(function () {
+
+/**
+ * Reusable time-series line chart, with shaded bands marking periods such as recessions.
+ *
+ * Usage: rateChart(container, config) draws a chart of config.data into the container (a selector string,
+ * DOM element or D3 selection), and returns a handle for the chart.  See defaultConfig for the options.
+ */
+const rateChart = (function () {
+
 
     /**
-     * Obtains the example data to be plotted, as an array of { Date, 10YTR, IsRecession }.
-     * d3.csv makes an http request, so (1) the CSV file must be served by a web server not the filesystem,
-     * and (2) the result is asynchronous -- D3.js doesn't have its own promise api yet, so we'll invoke the
-     * 'next' function when the request is done.
+     * Options accepted by rateChart().  Anything the caller leaves out takes the value given here.
+     *
+     * data is either the URL of a CSV file, or an in-memory array of rows shaped like the parsed CSV
+     * (objects keyed by column name, oldest row first).
+     *
+     * series lists the value columns to plot, as { column, label, color } objects.  Each series is drawn as its
+     * own waveform and legend row; label defaults to the column name and color to the next color of palette
+     * (by default, the theme's palette).
+     * When percentValues is true, a value of '5' in the data means 5.00 %.
+     *
+     * dateFormat says how to read the dateColumn: one of the presets in dateFormatPresets, a d3.timeParse
+     * specifier such as '%d.%m.%Y', or a function from the column value to a Date.  Rows whose date doesn't
+     * parse are reported as errors.  Date objects in in-memory rows are taken as they are.
+     *
+     * bands configures the shaded period bands drawn behind the waveforms.  Set to null for no bands.
+     *   column: a data column that marks the periods.  A boolean column (1/0 or true/false) gives a band for each
+     *     run of true rows, named by label.  With categorical: true, each run of rows with the same non-blank
+     *     value gives a band named by that value.
+     *   ranges: alternatively, an explicit list of { start, end, label, class } periods, where start and end are
+     *     dates (or date strings in the data's format), and class is an optional css class that colors the band.
+     *   showLabels: whether to write each band's name at the top of the band.
+     * Each distinct band name gets a legend row.  Bands are colored from bandPalette (by default, the theme's) by
+     * name, unless a css rule for their class sets the fill.
      *
-     * Input Date format: 'YYYY-MM-DD'
-     * Input Rate '5' corresponds to 5.00 %.
+     * hover turns on the crosshair and tooltip that follow the mouse over the plot.  The tooltip shows the
+     * date (formatted by tooltipDateFormat, a d3.timeFormat specifier) and every series' value.  The plot can
+     * also be focused by keyboard, and the arrow keys then move the crosshair from date to date.
+     *
+     * overview adds a strip of the given height under the main plot, showing the whole date range.  Brushing a
+     * range on it zooms the main plot to that range; double-clicking the chart resets the view.  Set to null for
+     * no overview.  The strip and its axis take their space out of the chart height.
+     *
+     * Below the width in breakpoints, the legend is left out.  The size, transition and theme are set as for
+     * every chart (see chartUtils.sharedConfig), with a slightly wider aspectRatio.
+     *
+     * title names the chart for screen readers (by default, after the series), and description replaces the
+     * summary of the data written by describeRates.
      */
-    function getData(next) {
-        d3.csv('rate-data.csv',
-            (oneRow) => {
-                const dateParts = oneRow.Date.split('-').map((x) => +x);
-                return {
-                    date: new Date(dateParts[0], dateParts[1] - 1, dateParts[2]),
-                    rate: +oneRow['10YTR'] / 100.0,
-                    isRecession: +oneRow.IsRecession === 1 ? true : false
-                };
-            },
-            (rows) => {
-                next(rows);
-            });
+    const defaultConfig = Object.assign({}, chartUtils.sharedConfig, {
+        data: [],
+        dateColumn: 'Date',
+        dateFormat: 'iso',
+        series: [],
+        palette: null, //defaults to the theme's palette
+        percentValues: true,
+        bands: {
+            column: 'IsRecession',
+            categorical: false,
+            label: 'Recession',
+            ranges: null,
+            showLabels: false
+        },
+        bandPalette: null, //defaults to the theme's band palette
+        hover: true,
+        tooltipDateFormat: '%b %Y',
+        overview: {
+            height: 40
+        },
+        title: '',
+        description: null,
+        aspectRatio: 0.606,
+        breakpoints: {
+            legend: 400
+        },
+        padding: { //main chart area padding
+            top: 10,
+            right: 90,
+            bottom: 40,
+            left: 20
+        }
+    });
+
+
+    /**
+     * Normalizes config.series into a list of { column, label, color }.
+     */
+    function getSeries(config) {
+        const palette = config.palette || chartUtils.resolveTheme(config.theme).palette;
+        return config.series.map((s, i) => ({
+            column: s.column,
+            label: s.label === undefined ? s.column : s.label,
+            color: s.color || palette[i % palette.length]
+        }));
     }
 
 
-    function getPlotArea() {
-        const plot = {
-            svg: {
-                width: 800,
-                height: 420
-            },
-            padding: { //main chart area padding
-                top: 10,
-                right: 90,
-                bottom: 40,
-                left: 20
+    /**
+     * Obtains the data to be plotted, as an array of { date, values, band } with one entry in values
+     * per series (NaN where the row has no value), and band holding the raw value of the bands column.
+     *
+     * For a CSV url, d3.csv makes an http request, so (1) the CSV file must be served by a web server not the
+     * filesystem, and (2) the result is asynchronous -- D3.js doesn't have its own promise api yet, so we'll
+     * invoke the 'next' function when the request is done.  In-memory rows are passed to 'next' right away.
+     *
+     * If the request fails, or a row's date doesn't parse, the 'fail' function gets the error instead: the
+     * request's, or one naming the first such row (counting from 1, after the CSV header).
+     */
+    function getData(config, series, next, fail) {
+        const bandColumn = config.bands && !config.bands.ranges ? config.bands.column : undefined;
+        const parseDate = makeDateParser(config);
+        const parseRow = (oneRow, i) => {
+            const date = parseDate(oneRow[config.dateColumn]);
+            if (!date) {
+                throw new Error('Row ' + (i + 1) + ": can't parse " + config.dateColumn + " '"
+                    + oneRow[config.dateColumn] + "' with date format '" + config.dateFormat + "'");
             }
+            return {
+                date: date,
+                values: series.map((s) => parseValue(oneRow[s.column], config)),
+                band: bandColumn ? oneRow[bandColumn] : undefined
+            };
         };
-        plot.range = { //drawn axis length in pixels
-            x: plot.svg.width - plot.padding.left - plot.padding.right,
-            y: plot.svg.height - plot.padding.top - plot.padding.bottom
+        const parseRows = (rows) => {
+            let data;
+            try {
+                data = rows.map(parseRow);
+            }
+            catch (error) {
+                fail(error);
+                return;
+            }
+            next(data);
         };
+        if (typeof config.data === 'string') {
+            d3.csv(config.data, (error, rows) => {
+                if (error) {
+                    fail(error);
+                    return;
+                }
+                parseRows(rows);
+            });
+        }
+        else {
+            parseRows(config.data);
+        }
+    }
+
+
+    /**
+     * Named date formats: ISO 'YYYY-MM-DD', US 'MM/DD/YYYY', and Unix epoch seconds or milliseconds.
+     */
+    const dateFormatPresets = {
+        iso: '%Y-%m-%d',
+        us: '%m/%d/%Y',
+        epoch: '%s',
+        epochMillis: '%Q'
+    };
+
+
+    /**
+     * Returns a function that parses a date column value per config.dateFormat, returning null if it can't.
+     * ISO and US dates are local dates, i.e. midnight in the browser's time zone.
+     */
+    function makeDateParser(config) {
+        const format = config.dateFormat;
+        const parse = typeof format === 'function' ? format : d3.timeParse(dateFormatPresets[format] || format);
+        return (value) => {
+            if (value instanceof Date) {
+                return isNaN(value) ? null : value;
+            }
+            if (value === undefined || value === null) {
+                return null;
+            }
+            const date = parse(String(value).trim());
+            return date instanceof Date && !isNaN(date) ? date : null;
+        };
+    }
+
+
+    /**
+     * Missing and blank values become NaN, which leaves a gap in the waveform.
+     */
+    function parseValue(value, config) {
+        if (value === undefined || value === null || value === '') {
+            return NaN;
+        }
+        return config.percentValues ? +value / 100.0 : +value;
+    }
+
+
+    /**
+     * Height of the overview strip's own X axis, below the strip.
+     */
+    const overviewAxisHeight = 25;
+
+
+    /**
+     * With an overview, the strip goes under the main plot's X axis, and the main plot is shortened to make room.
+     */
+    function getPlotArea(config) {
+        const plot = chartUtils.makePlotArea(config);
+        if (config.overview) {
+            plot.range.y -= config.overview.height + overviewAxisHeight;
+            plot.overview = {
+                y: plot.range.y + plot.padding.bottom,
+                height: config.overview.height
+            };
+        }
         return plot;
     }
 
 
     /**
      * Visual margin applied beyond the actual min/max of the charted data, valued in the data domain.
+     * The date headroom is a count of d3 time intervals.
      */
     const rateHeadroom = 0.005;
-    const dateMinHeadroomDays = 14;
-    const dateMaxHeadroomDays = 7;
+    const dateHeadroomInterval = d3.timeDay;
+    const dateMinHeadroom = 14;
+    const dateMaxHeadroom = 7;
+
+
+    /**
+     * Rates are written as #.## %, on the Y axis and in the tooltip.
+     */
+    const rateFormat = d3.format('.2%');
+
+
+    function formatRate(value) {
+        return isNaN(value) ? 'n/a' : rateFormat(value);
+    }
 
 
     /**
@@ -66,12 +244,17 @@
      * headroom areas, for the Y axis.
      *
      * X scale is based on time, where the oldest datapoint is first: data[0].
+     * Y scale covers the values of every series.
+     * With no data (or no values), the scales are centered on today's date and on zero.
      */
     function makeScales(data, plot) {
-        const minDate = moment(data[0].date).subtract(dateMinHeadroomDays, 'days').toDate();
-        const maxDate = moment(data[data.length-1].date).add(dateMaxHeadroomDays, 'days').toDate();
-        const minRate = Math.floor(100.0 * d3.min(data.map(x => x.rate))) / 100.0 - rateHeadroom;
-        const maxRate = Math.ceil(100.0 * d3.max(data.map(x => x.rate))) / 100.0 + rateHeadroom;
+        const today = d3.timeDay.floor(new Date());
+        const firstDate = data.length ? data[0].date : today;
+        const lastDate = data.length ? data[data.length-1].date : today;
+        const minDate = dateHeadroomInterval.offset(firstDate, -dateMinHeadroom);
+        const maxDate = dateHeadroomInterval.offset(lastDate, dateMaxHeadroom);
+        const minRate = Math.floor(100.0 * (d3.min(data, x => d3.min(x.values)) || 0)) / 100.0 - rateHeadroom;
+        const maxRate = Math.ceil(100.0 * (d3.max(data, x => d3.max(x.values)) || 0)) / 100.0 + rateHeadroom;
         return {
             x: d3.scaleTime()
                 .domain([minDate, maxDate])
@@ -84,14 +267,25 @@
 
 
     /**
-     * The X-axis is a horizontal line with a tick point for each year of input data.
+     * The X-axis is a horizontal line with a tick point for each year of input data (or finer, when zoomed in),
+     * or fewer ticks on a narrow chart.  A vertical grid line crosses the plot area at each tick, but the first,
+     * since it would look bad just a few pixels adjacent to the left border line.
+     */
+    function appendXAxis(paddingGroup, scales, plot, transition) {
+        chartUtils.appendAxis(paddingGroup, scales.x, plot, {
+            orient: 'bottom',
+            className: 'xAxis',
+            ticks: dateTickCount(plot),
+            grid: { skipFirst: true }
+        }, transition);
+    }
+
+
+    /**
+     * About 10 date ticks, or fewer where they'd be under 60px apart.
      */
-    function appendXAxis(paddingGroup, scales, plot) {
-        const xAxis = d3.axisBottom().scale(scales.x);
-        paddingGroup.append('g')
-            .attr('transform', 'translate(0,' + plot.range.y + ')')
-            .attr('class', 'xAxis')
-            .call(xAxis);
+    function dateTickCount(plot) {
+        return Math.max(2, Math.min(10, Math.floor(plot.range.x / 60)));
     }
 
 
@@ -99,19 +293,19 @@
      * The Y-Axis is a vertical line with tick points formatted as #.## %.
      * We specify tickValues so there are no ticks at the domain endpoints (i.e. the headroom areas).
      * The effect is like Y-Axis "outer padding" to the min/max of actual input data.
+     * There are 7 ticks, or fewer on a short chart, each with a horizontal grid line across the plot area.
      */
-    function appendYAxis(paddingGroup, scales, plot) {
-        const numTicks = 7;
+    function appendYAxis(paddingGroup, scales, plot, transition) {
+        const numTicks = Math.max(3, Math.min(7, Math.floor(plot.range.y / 35)));
         const tickStep = (scales.y.domain()[1] - scales.y.domain()[0] - 2 * rateHeadroom) / (numTicks - 1);
         const firstValue = scales.y.domain()[0] + rateHeadroom;
-        const tickValues = [...Array(numTicks).keys()].map(i => tickStep * i + firstValue);
-        const yAxis = d3.axisRight().scale(scales.y)
-            .tickValues(tickValues)
-            .tickFormat(d3.format('.2%'));
-        paddingGroup.append('g')
-            .attr('transform', 'translate(' + plot.range.x + ',0)')
-            .attr('class', 'yAxis')
-            .call(yAxis);
+        chartUtils.appendAxis(paddingGroup, scales.y, plot, {
+            orient: 'right',
+            className: 'yAxis',
+            tickValues: [...Array(numTicks).keys()].map(i => tickStep * i + firstValue),
+            tickFormat: rateFormat,
+            grid: {}
+        }, transition);
     }
 
 
@@ -119,10 +313,9 @@
      * Draws a rectangle of light color as the plot background.
      */
     function appendBackground(paddingGroup, plot) {
-        paddingGroup.append('rect')
+        chartUtils.selectOrAppend(paddingGroup, 'rect', 'background')
             .attr('width', plot.range.x)
-            .attr('height', plot.range.y)
-            .attr('class', 'background');
+            .attr('height', plot.range.y);
     }
 
 
@@ -135,215 +328,607 @@
      */
     function appendBackgroundBorderLines(paddingGroup, plot) {
         const offset = 0.5;
-        paddingGroup.append('path')
+        chartUtils.selectOrAppend(paddingGroup, 'path', 'background-border')
             .attr('d',
                 'M ' + (plot.svg.width - plot.padding.left) + ',' + offset + ' ' //top border, right endpoint
                 + 'L ' + offset + ',' + offset + ' '
                 + offset + ',' + (plot.range.y + offset) + ' '
                 + (plot.svg.width - plot.padding.left) + ',' + (plot.range.y + offset) // bottom border, right endpoint
-            )
-            .attr('class', 'background-border');
+            );
     }
 
 
     /**
-     * Draws a horizontal line on the plot area, in line with each Y-axis tick.
+     * The highlight of the chart is the rate waveform: one path per series, in the series color.
+     * Rows without a value for the series leave a gap in its path.
+     *
+     * On an update, each waveform morphs from the previous drawing, given as { data, scales }: see morphWaveform.
      */
-    function appendBackgroundHorizontalGridLines(paddingGroup, plot) {
-        const gridGroup = paddingGroup.append('g')
-            .attr('class', 'grid');
-        paddingGroup.selectAll('.yAxis .tick')
-            .each(function(d,i) {
-                const tick = d3.select(this);
-                const {x, y} = extractTranslation(tick);
-                gridGroup.append('line')
-                    .attr('x1', 0)
-                    .attr('y1', y)
-                    .attr('x2', plot.range.x)
-                    .attr('y2', y);
-            })
+    function appendRateWaveform(paddingGroup, data, series, scales, transition, previous) {
+        const waveforms = chartUtils.selectOrAppend(paddingGroup, 'g', 'waveform')
+            .selectAll('path:not(.exiting)')
+            .data(series, s => s.column);
+        chartUtils.removeExit(waveforms.exit(), transition);
+        const merged = waveforms.enter()
+            .append('path')
+            .merge(waveforms)
+            .style('stroke', s => s.color);
+        if (transition && previous) {
+            merged.transition(transition)
+                .attrTween('d', (s, i) => morphWaveform(data, i, scales, previous));
+        }
+        else {
+            merged.attr('d', (s, i) =>
+                d3.line()
+                    .defined(d => !isNaN(d.values[i]))
+                    .x(d => scales.x(d.date))
+                    .y(d => scales.y(d.values[i]))(data));
+        }
+    }
+
+
+    /**
+     * Returns the path interpolator of the i-th series' waveform, from the previous drawing to the new one.
+     * Each point of the new data starts from where the same date was drawn before, by the previous scales and
+     * the previous value, and moves to its place by the new scales.  A date new to the data starts from its new
+     * value on the previous scales, so it slides in with the axes.  Gaps are those of the new data throughout.
+     */
+    function morphWaveform(data, i, scales, previous) {
+        const previousValues = d3.map(previous.data, d => +d.date);
+        const points = data.map(d => {
+            const before = previousValues.get(+d.date);
+            const startValue = before && !isNaN(before.values[i]) ? before.values[i] : d.values[i];
+            return {
+                defined: !isNaN(d.values[i]),
+                x0: previous.scales.x(d.date),
+                y0: previous.scales.y(startValue),
+                x1: scales.x(d.date),
+                y1: scales.y(d.values[i])
+            };
+        });
+        const line = d3.line().defined(p => p.defined);
+        return (t) => line
+            .x(p => p.x0 + (p.x1 - p.x0) * t)
+            .y(p => p.y0 + (p.y1 - p.y0) * t)(points);
     }
 
 
     /**
-     * Draws a vertical line on the plot area, in line with each X-axis tick.
+     * Draws bars (rectangles) to represent the periods, clipped to the plot area, with their names
+     * at the top if showLabels.
      *
-     * Skips the initial tick line, since it would look bad just a few pixels adjacent to the later Border line.
+     * The palette color is a fill attribute, so css rules for the band's class take precedence.
+     * Bands are keyed by name and start date, so on an update the same period moves to its new place.
      */
-    function appendBackgroundVerticalGridLines(paddingGroup, plot) {
-        const gridGroup = paddingGroup.selectAll('.grid');
-        paddingGroup.selectAll('.xAxis .tick')
-            .each(function(d,i) {
-                if (i > 0) {
-                    const tick = d3.select(this);
-                    const {x, y} = extractTranslation(tick);
-                    gridGroup.append('line')
-                        .attr('x1', x)
-                        .attr('y1', 0)
-                        .attr('x2', x)
-                        .attr('y2', plot.range.y);
-                }
-            })
+    function appendPeriodBands(paddingGroup, periods, showLabels, scales, plot, transition) {
+        const clampX = (date) => Math.max(0, Math.min(plot.range.x, scales.x(date)));
+        const key = (d) => d.label + ' ' + (+d.startDate);
+        const bandsGroup = chartUtils.selectOrAppend(paddingGroup, 'g', 'bands');
+        const bands = bandsGroup.selectAll('rect:not(.exiting)')
+            .data(periods, key);
+        chartUtils.join(bands, 'rect', (rect) => rect
+            .attr('x', d => clampX(d.startDate))
+            .attr('y', 0)
+            .attr('width', d => clampX(d.endDate) - clampX(d.startDate))
+            .attr('height', plot.range.y), transition)
+            .attr('class', d => 'band ' + d.class)
+            .attr('fill', d => d.color);
+        const names = bandsGroup.selectAll('text:not(.exiting)')
+            .data(showLabels ? periods.filter(d => clampX(d.endDate) > clampX(d.startDate)) : [], key);
+        chartUtils.join(names, 'text', (text) => text
+            .attr('x', d => (clampX(d.startDate) + clampX(d.endDate)) / 2)
+            .attr('y', 12), transition)
+            .attr('class', 'band-name')
+            .text(d => d.label);
     }
 
 
     /**
-     * Extracts the 'translate(x,y)' attribute value and returns {x, y}.
+     * Returns the periods to draw as bands: a list of { startDate, endDate, label, class, color },
+     * from either the explicit config.bands.ranges or the bands column of the data.
+     */
+    function getPeriods(data, config) {
+        const bands = config.bands;
+        const parseDate = makeDateParser(config);
+        const parseRangeDate = (value) => {
+            const date = parseDate(value);
+            if (!date) {
+                throw new Error("Can't parse band range date '" + value + "' with date format '" + config.dateFormat + "'");
+            }
+            return date;
+        };
+        const periods = bands.ranges
+            ? bands.ranges.map(range => ({
+                startDate: parseRangeDate(range.start),
+                endDate: parseRangeDate(range.end),
+                label: range.label,
+                class: range.class
+            }))
+            : collapsePeriods(data, bands.categorical ? (value => value) : (value => isTrue(value) ? bands.label : ''));
+        const colors = d3.scaleOrdinal(config.bandPalette || chartUtils.resolveTheme(config.theme).bandPalette);
+        periods.forEach(period => {
+            period.color = colors(period.label);
+            period.class = period.class || chartUtils.toClassName('band-', period.label);
+        });
+        return periods;
+    }
+
+
+    function isTrue(value) {
+        return value === true || value === 1 || /^(1|true|yes)$/i.test(String(value).trim());
+    }
+
+
+    /**
+     * Convert from monthly data to "collapsed" data which is just a sequence of begin/end dates.
      *
-     * We have a trivial transform to parse, but - in case of more complexity - consider
-     * https://stackoverflow.com/a/38230545 to convert the transform to a matrix.
+     * nameOf maps the bands column value of a row to the name of its period, or a blank name for no period.
+     * A period runs from its first row up to the first row of a different name.  A period still open on the
+     * last row ends one row interval past it, so that the last row is inside it (periods cover their start date
+     * up to, but not including, their end date), and a period opened on the last row still has a width.
      */
-    function extractTranslation(selection) {
-        const transform = selection.attr('transform');
-        const m = transform.match(/^translate\((.*),(.*)\)$/);
-        if (!m || m.length < 3) {
-            throw new Error("Don't know how to parse transform: '" + transform + "'");
-        }
-        return { x: +m[1], y: +m[2] };
+    function collapsePeriods(data, nameOf) {
+        const periods = [];
+        const lastInterval = data.length > 1 ? data[data.length - 1].date - data[data.length - 2].date : 0;
+        let current = undefined;
+        data.forEach((datum, i) => {
+            const name = nameOf(datum.band);
+            const hasName = name !== undefined && name !== null && String(name).trim() !== '';
+            if (current && current.label !== name) {
+                current.endDate = datum.date;
+                periods.push(current);
+                current = undefined;
+            }
+            if (!current && hasName) {
+                current = {
+                    startDate: datum.date,
+                    label: name
+                };
+            }
+            if (current && i === data.length - 1) {
+                current.endDate = new Date(+datum.date + lastInterval);
+                periods.push(current);
+            }
+        });
+        return periods;
     }
 
 
     /**
-     * The highlight of the chart is the rate waveform.
+     * The legend is a light rectangle ("legend plate") in the top right corner of the plot, with a row for each
+     * waveform and each kind of period band: a label, then a line or square of its color.  The square's fill
+     * attribute is the band color, which css rules for the band's class can override.
      */
-    function appendRateWaveform(paddingGroup, data, scales) {
-        paddingGroup.append('g')
-            .attr('class', 'waveform')
-            .append('path')
-            .datum(data)
-            .attr('d',
-                d3.line()
-                    .x(d => scales.x(d.date))
-                    .y(d => scales.y(d.rate)));
+    function appendLegend(paddingGroup, series, periods, plot) {
+        const items = series.map(s => ({ swatch: 'line', className: 'legend-waveform', color: s.color, label: s.label }));
+        const bandItems = d3.map(periods, d => d.label).values().map(d => ({
+            className: 'band ' + d.class,
+            color: d.color,
+            label: d.label
+        }));
+        items.push(...bandItems);
+        const legendMargin = 10;
+        const legend = chartUtils.appendLegend(paddingGroup, 'legend', items, {
+            layout: 'column',
+            align: 'right',
+            plate: true
+        });
+        legend.group.attr('transform', 'translate('
+            + (plot.range.x - legend.width - legendMargin) + ',' + legendMargin + ')');
     }
 
 
     /**
-     * Draws bars (rectangles) to represent periods of economic recession.
+     * Draws the crosshair and tooltip, and a transparent overlay on top of the plot background that moves them
+     * with the mouse.
+     *
+     * The crosshair snaps to the data row nearest the mouse date: the vertical line marks its date, and the
+     * horizontal line marks the value of whichever series is nearest the mouse.  Each series' value is marked
+     * with a dot.  The tooltip sits beside the crosshair, flipped as needed to stay within the plot.
+     *
+     * The overlay is also a tab stop, with the application role so that screen readers pass the keys on to it.
+     * With keyboard focus, the crosshair shows a data row: the arrow keys step to the previous or next date in
+     * view, Home and End to the first and last, and announce(text) reads out the tooltip of each.
      */
-    function appendRecessionBars(paddingGroup, data, scales, plot) {
-        const recessionPeriods = collapseRecessionPeriods(data);
-        paddingGroup.selectAll()
-            .data(recessionPeriods)
+    function appendHoverLayer(paddingGroup, data, series, periods, config, scales, plot, announce) {
+        const bisectDate = d3.bisector(d => d.date).left;
+        const formatDate = d3.timeFormat(config.tooltipDateFormat);
+        let keyboardIndex = null;
+        const hoverGroup = chartUtils.resetGroup(paddingGroup, 'hover')
+            .style('display', 'none');
+        const verticalLine = hoverGroup.append('line')
+            .attr('class', 'crosshair')
+            .attr('y1', 0)
+            .attr('y2', plot.range.y);
+        const horizontalLine = hoverGroup.append('line')
+            .attr('class', 'crosshair')
+            .attr('x1', 0)
+            .attr('x2', plot.range.x);
+        const dots = hoverGroup.selectAll()
+            .data(series)
             .enter()
-            .append('rect')
-            .attr('class', 'recession')
-            .attr('x', d => scales.x(d.startDate))
-            .attr('y', 0)
-            .attr('width', d => scales.x(d.endDate) - scales.x(d.startDate))
-            .attr('height', plot.range.y);
+            .append('circle')
+            .attr('class', 'crosshair-dot')
+            .attr('r', 3)
+            .style('fill', s => s.color);
+        const tooltip = chartUtils.appendTooltip(hoverGroup, plot);
+
+        chartUtils.selectOrAppend(paddingGroup, 'rect', 'hover-overlay')
+            .attr('width', plot.range.x)
+            .attr('height', plot.range.y)
+            .attr('tabindex', 0)
+            .attr('role', 'application')
+            .attr('aria-label', 'Chart data by date: use the arrow keys to move between dates')
+            .on('mouseover', () => hoverGroup.style('display', data.length ? null : 'none'))
+            .on('mouseout', () => hoverGroup.style('display', 'none'))
+            .on('mousemove', function() {
+                if (!data.length) {
+                    return;
+                }
+                const [mouseX, mouseY] = d3.mouse(this);
+                const datum = findNearestDatum(scales.x.invert(mouseX));
+                keyboardIndex = data.indexOf(datum);
+                showDatum(datum, mouseY);
+            })
+            .on('focus', () => {
+                hoverGroup.style('display', data.length ? null : 'none');
+                moveByKey(null);
+            })
+            .on('blur', () => hoverGroup.style('display', 'none'))
+            .on('keydown', () => {
+                if (moveByKey(d3.event.key)) {
+                    d3.event.preventDefault();
+                }
+            });
+
+        /**
+         * Moves the crosshair by a navigation key (see chartUtils.keyboardTarget) among the data rows in view,
+         * from the row shown last; or for no key, back to that row, or the nearest one in view.  The row is shown
+         * at the height of its first series with a value, and announced.  Returns false for any other key.
+         */
+        function moveByKey(key) {
+            const domain = scales.x.domain();
+            const inView = data.map((d, i) => i).filter(i => data[i].date >= domain[0] && data[i].date <= domain[1]);
+            if (!inView.length) {
+                return false;
+            }
+            const current = inView.indexOf(keyboardIndex);
+            const position = current >= 0 ? current : keyboardIndex > inView[inView.length - 1] ? inView.length - 1 : 0;
+            const target = key ? chartUtils.keyboardTarget(key, position, inView.length) : position;
+            if (target === undefined) {
+                return false;
+            }
+            keyboardIndex = inView[target];
+            const datum = data[keyboardIndex];
+            const defined = datum.values.findIndex(value => !isNaN(value));
+            showDatum(datum, defined < 0 ? plot.range.y / 2 : scales.y(datum.values[defined]));
+            announce(tooltipLines(datum).join(', '));
+            return true;
+        }
+
+        /**
+         * Moves the crosshair and tooltip to the datum, with the horizontal line on the series nearest to y.
+         */
+        function showDatum(datum, y) {
+            const x = scales.x(datum.date);
+            const defined = series.map((s, i) => i).filter(i => !isNaN(datum.values[i]));
+            const nearest = defined.length
+                ? defined.reduce((a, b) =>
+                    Math.abs(scales.y(datum.values[a]) - y) <= Math.abs(scales.y(datum.values[b]) - y) ? a : b)
+                : undefined;
+            verticalLine.attr('x1', x).attr('x2', x);
+            horizontalLine.style('display', nearest === undefined ? 'none' : null);
+            if (nearest !== undefined) {
+                const lineY = scales.y(datum.values[nearest]);
+                horizontalLine.attr('y1', lineY).attr('y2', lineY);
+            }
+            dots.style('display', (s, i) => isNaN(datum.values[i]) ? 'none' : null)
+                .attr('cx', x)
+                .attr('cy', (s, i) => isNaN(datum.values[i]) ? 0 : scales.y(datum.values[i]));
+            tooltip.show(tooltipLines(datum), x, y, 10);
+        }
+
+        function findNearestDatum(date) {
+            const i = Math.min(bisectDate(data, date, 1), data.length - 1);
+            const before = data[i - 1] || data[i];
+            const after = data[i];
+            return date - before.date > after.date - date ? after : before;
+        }
+
+        function tooltipLines(datum) {
+            const lines = [formatDate(datum.date)];
+            series.forEach((s, i) => lines.push(s.label + ': ' + formatRate(datum.values[i])));
+            lines.push(...describePeriods(periods, datum.date, config));
+            return lines;
+        }
     }
 
 
     /**
-     * Convert from daily recession data to "collapsed" data which is just a sequence of begin/end dates.
+     * Describes the periods at the date, for the tooltip and the data table: a boolean bands column gets a yes/no
+     * line for its label; otherwise the names of any periods covering the date are listed.
      */
-    function collapseRecessionPeriods(data) {
-        const periods = [];
-        let startDate = undefined;
-        for (const i in data) {
-            const datum = data[i];
-            if (startDate === undefined && datum.isRecession) {
-                startDate = datum.date;
+    function describePeriods(periods, date, config) {
+        const covering = periods.filter(p => p.startDate <= date && date < p.endDate);
+        if (config.bands && !config.bands.ranges && !config.bands.categorical) {
+            return [config.bands.label + ': ' + (covering.length ? 'yes' : 'no')];
+        }
+        return covering.map(p => p.label);
+    }
+
+
+    /**
+     * Draws the overview strip: the whole date range (fullDomain) of bands and waveforms in miniature, with its
+     * own X axis and a horizontal brush.  Brushing calls onBrush with the selected [startDate, endDate], or with
+     * null when the selection is cleared.
+     *
+     * Returns a function that moves the brush to show a given date range (or clears it, for null), without
+     * calling onBrush.
+     */
+    function appendOverview(paddingGroup, data, series, periods, scales, fullDomain, plot, onBrush) {
+        const overviewPlot = {
+            range: {
+                x: plot.range.x,
+                y: plot.overview.height
             }
-            else if (startDate && (!datum.isRecession || i === data.length-1)) {
-                periods.push({
-                    startDate: startDate,
-                    endDate: datum.date
-                });
-                startDate = undefined;
+        };
+        const overviewScales = {
+            x: scales.x.copy().domain(fullDomain),
+            y: scales.y.copy().range([overviewPlot.range.y, 0])
+        };
+        const overviewGroup = chartUtils.resetGroup(paddingGroup, 'overview')
+            .attr('transform', 'translate(0,' + plot.overview.y + ')');
+        appendBackground(overviewGroup, overviewPlot);
+        appendPeriodBands(overviewGroup, periods, false, overviewScales, overviewPlot);
+        appendRateWaveform(overviewGroup, data, series, overviewScales);
+        overviewGroup.append('g')
+            .attr('class', 'overview-axis')
+            .attr('transform', 'translate(0,' + overviewPlot.range.y + ')')
+            .call(d3.axisBottom().scale(overviewScales.x).ticks(dateTickCount(plot)));
+        const brush = d3.brushX()
+            .extent([[0, 0], [overviewPlot.range.x, overviewPlot.range.y]])
+            .on('brush end', () => {
+                if (!d3.event.sourceEvent) {
+                    return; //The brush was moved by code, not by the user.
+                }
+                const selection = d3.event.selection;
+                onBrush(selection ? selection.map(overviewScales.x.invert) : null);
+            });
+        const brushGroup = overviewGroup.append('g')
+            .attr('class', 'brush')
+            .call(brush);
+        return (domain) => brushGroup.call(brush.move, domain ? domain.map(overviewScales.x) : null);
+    }
+
+
+    /**
+     * Summarizes the chart for screen readers: the series and date range, then each series' values at the start
+     * and end, its lowest and highest values, and the kinds of period bands.  Or, with no data, just the series.
+     */
+    function describeRates(data, series, periods, config) {
+        const formatDate = d3.timeFormat(config.tooltipDateFormat);
+        const subject = 'Line chart of ' + series.map(s => s.label).join(', ');
+        if (!data.length) {
+            return subject + ', with no data.';
+        }
+        const sentences = [subject + ', from ' + formatDate(data[0].date) + ' to '
+            + formatDate(data[data.length - 1].date) + '.'];
+        series.forEach((s, i) => {
+            const rows = data.filter(d => !isNaN(d.values[i]));
+            if (!rows.length) {
+                return;
             }
+            const lowest = rows[d3.scan(rows, (a, b) => a.values[i] - b.values[i])];
+            const highest = rows[d3.scan(rows, (a, b) => b.values[i] - a.values[i])];
+            sentences.push(s.label + ': ' + formatRate(rows[0].values[i]) + ' at the start and '
+                + formatRate(rows[rows.length - 1].values[i]) + ' at the end, lowest ' + formatRate(lowest.values[i])
+                + ' in ' + formatDate(lowest.date) + ', highest ' + formatRate(highest.values[i])
+                + ' in ' + formatDate(highest.date) + '.');
+        });
+        const bandNames = d3.set(periods, p => p.label).values();
+        if (bandNames.length) {
+            sentences.push((periods.length === 1 ? 'A shaded band marks 1 period: '
+                : 'Shaded bands mark ' + periods.length + ' periods: ') + bandNames.join(', ') + '.');
         }
-        return periods;
+        return sentences.join(' ');
     }
 
 
     /**
-     * The legend consists of a light rectangle ("legend plate") on which we place rows consisting of a color square
-     * and label to identify the waveform and recession bars.
+     * Fills the screen readers' table of the chart data: a row per date, with a column per series, and one for
+     * the periods when there are bands.
      */
-    function appendLegend(paddingGroup, plot) {
-        const legendGroup = paddingGroup.append('g')
-            .attr('class', 'legend');
-        const waveformTextString = '10 Year Treasury Rate';
-        const waveformTextWidth = chartUtils.calcTextWidth(legendGroup, waveformTextString, '');
-        const area = calcLegendArea(waveformTextWidth, 2);
-        legendGroup.attr('transform', 'translate('
-            + (plot.range.x - area.plate.width - area.plate.margin)
-            + ',' + area.plate.margin + ')');
-        legendGroup.append('rect')
-            .attr('class', 'legend-plate')
-            .attr('width', area.plate.width)
-            .attr('height', area.plate.height);
-        appendLegendOneRow(legendGroup, area, 0, 'legend-waveform', waveformTextString);
-        appendLegendOneRow(legendGroup, area, 1, 'legend-recession', 'Recession');
+    function fillDataTable(table, title, data, series, periods, config) {
+        const formatDate = d3.timeFormat(config.tooltipDateFormat);
+        const columns = [{ label: 'Date', value: d => formatDate(d.date) }]
+            .concat(series.map((s, i) => ({ label: s.label, value: d => formatRate(d.values[i]) })));
+        if (config.bands) {
+            columns.push({ label: 'Periods', value: d => describePeriods(periods, d.date, config).join(', ') });
+        }
+        chartUtils.fillDataTable(table, title, columns, data);
     }
 
 
-    function appendLegendOneRow(legendGroup, area, rowNum, squareClass, textString) {
-        legendGroup.append('rect')
-            .attr('class', squareClass)
-            .attr('x', area.square.x)
-            .attr('y', (rowNum + 1) * area.square.margin + rowNum * area.square.width)
-            .attr('width', area.square.width)
-            .attr('height', area.square.width);
-        legendGroup.append('text')
-            .attr('x', area.square.x - area.square.margin)
-            .attr('y', (rowNum + 1) * area.square.margin + area.text.fontOffset + rowNum * area.square.width)
-            .text(textString);
+    /**
+     * Clips the children of the group to the plot area.  Each chart's clip path gets its own id, and is
+     * resized when the chart is drawn again.
+     */
+    let clipPathCount = 0;
+    function clipToPlotArea(svg, group, plot) {
+        let clipPath = svg.select('clipPath.plot-clip');
+        if (clipPath.empty()) {
+            clipPath = svg.append('defs')
+                .append('clipPath')
+                .attr('class', 'plot-clip')
+                .attr('id', 'rate-chart-clip-' + (++clipPathCount));
+            clipPath.append('rect');
+        }
+        clipPath.select('rect')
+            .attr('width', plot.range.x)
+            .attr('height', plot.range.y);
+        group.attr('clip-path', 'url(#' + clipPath.attr('id') + ')');
     }
 
 
     /**
-     * The legend consists of a backing plate, on which we place text and color squares.
-     * The plate is sized to fit the widest legend text.
+     * Draws the whole chart into the svg, and returns the plot area and scales that were used, the zoomTo
+     * function, and shownDomain(), which returns the date range zoomed to (or null for the full range).
+     *
+     * When the chart is drawn again, previous describes the drawing it replaces, { data, scales, domain }: the
+     * chart stays zoomed to the previous date range (domain), and given a transition, it is drawn in place over
+     * the transition, the waveforms morphing from the previous data and scales.
+     *
+     * For screen readers, the svg gets a title and description, the hover layer reads out the data rows it is
+     * moved to by keyboard with screenReader.announce, and screenReader.table gets the data.
      */
-    function calcLegendArea(maxTextWidth, numRows) {
-        const area = {
-            legend: {
-                margin: 10
-            },
-            plate: {
-                margin: 10
-            },
-            square: {
-                margin: 5,
-                width: 10
-            },
-            text: {
-                fontOffset: 9
-            }
+    function draw(svg, data, series, config, transition, previous, screenReader) {
+        chartUtils.applyTheme(svg, chartUtils.resolveTheme(config.theme));
+        const plot = getPlotArea(config);
+        const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot, transition);
+        const scales = makeScales(data, plot);
+        const fullDomain = scales.x.domain();
+        let shownDomain = previous && previous.domain ? previous.domain : null;
+        if (shownDomain) {
+            scales.x.domain(shownDomain);
+        }
+        appendBackground(paddingGroup, plot);
+        appendXAxis(paddingGroup, scales, plot, transition);
+        appendYAxis(paddingGroup, scales, plot, transition);
+        const periods = config.bands ? getPeriods(data, config) : [];
+        const showBandLabels = config.bands ? config.bands.showLabels : false;
+        appendPeriodBands(paddingGroup, periods, showBandLabels, scales, plot, transition);
+        appendBackgroundBorderLines(paddingGroup, plot);
+        appendRateWaveform(paddingGroup, data, series, scales, transition, previous);
+        clipToPlotArea(svg, paddingGroup.select('.waveform'), plot);
+        if (chartUtils.fitsWidth(config, 'legend', plot.svg.width)) {
+            appendLegend(paddingGroup, series, periods, plot);
+        }
+        else {
+            paddingGroup.select('g.legend').remove();
+        }
+        if (config.hover) {
+            appendHoverLayer(paddingGroup, data, series, periods, config, scales, plot, screenReader.announce);
+        }
+
+        /**
+         * Redraws the layers that depend on the X scale, after its domain is set to the given date range
+         * (or back to the full range, for null).
+         */
+        const showDates = (domain) => {
+            shownDomain = domain;
+            scales.x.domain(domain || fullDomain);
+            appendXAxis(paddingGroup, scales, plot);
+            appendPeriodBands(paddingGroup, periods, showBandLabels, scales, plot);
+            appendRateWaveform(paddingGroup, data, series, scales);
+        };
+        const moveBrush = config.overview
+            ? appendOverview(paddingGroup, data, series, periods, scales, fullDomain, plot, showDates)
+            : () => {};
+        const zoomTo = (domain) => {
+            showDates(domain);
+            moveBrush(domain);
         };
-        area.plate.width = area.plate.margin + maxTextWidth + 2 * area.square.margin + area.square.width;
-        area.plate.height = (numRows + 1) * area.square.margin + numRows * area.square.width;
-        area.square.x = area.plate.width - area.square.width - area.square.margin;
-        return area;
+        if (shownDomain) {
+            moveBrush(shownDomain);
+        }
+        paddingGroup.on('dblclick', () => zoomTo(null));
+        const title = config.title || series.map(s => s.label).join(', ');
+        chartUtils.describeChart(svg, title, config.description || describeRates(data, series, periods, config));
+        fillDataTable(screenReader.table, title, data, series, periods, config);
+        return { plot, scales, zoomTo, shownDomain: () => shownDomain };
     }
 
 
     /**
-     * Top level D3 drawing function.
+     * Top level D3 drawing function.  Appends a new svg to the container, and draws the chart in it once
+     * the data is available, at the size resolved from the config and container (see chartUtils.resolveSize).
+     * If the width is 'auto', the chart is redrawn from the same data whenever the container width changes,
+     * keeping the date range it was zoomed to.
+     *
+     * The returned handle exposes the svg selection and the effective config; the parsed data, plot area,
+     * scales and a zoomTo([startDate, endDate]) function (null resets the view) are added once drawn.
+     * Its redraw() function applies config changes (e.g. a new data url or
+     * different series) by loading the data and drawing the chart again.
+     * update(data) loads new data (a CSV url or rows) for the same series, and animates the chart to it: the
+     * waveforms morph to their new paths and the axes and bands move, over config.transition.
+     * Next to the svg, the container gets a visually hidden table of the data, and a live region that reads out
+     * the dates stepped through by keyboard.
+     * setTheme(theme) draws the chart again in another theme (see config.theme), keeping the date range shown.
+     * download(options) saves the chart as an svg or png file (see chartUtils.downloadChart).
+     * on('error', listener) registers a listener for the errors in loading or parsing the data (see
+     * chartUtils.reportError), and destroy() stops following container resizes (see chartUtils.observeResize).
      */
-    function draw() {
-        getData((data) => {
-            const svg = d3.select('body').append('svg');
-            const plot = getPlotArea();
-            const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot);
-            const scales = makeScales(data, plot);
-            appendBackground(paddingGroup, plot);
-            appendXAxis(paddingGroup, scales, plot);
-            appendYAxis(paddingGroup, scales, plot);
-            appendBackgroundHorizontalGridLines(paddingGroup, plot);
-            appendBackgroundVerticalGridLines(paddingGroup, plot);
-            appendRecessionBars(paddingGroup, data, scales, plot);
-            appendBackgroundBorderLines(paddingGroup, plot);
-            appendRateWaveform(paddingGroup, data, scales);
-            appendLegend(paddingGroup, plot);
+    function rateChart(container, config) {
+        const containerSelection = chartUtils.selectContainer(container);
+        const svg = containerSelection.append('svg')
+            .attr('class', 'rate-chart');
+        const screenReader = {
+            table: chartUtils.appendScreenReaderOnly(containerSelection, 'table', 'chart-data'),
+            announce: chartUtils.appendAnnouncer(containerSelection)
+        };
+        const dispatch = d3.dispatch('error');
+        const fail = (error) => chartUtils.reportError(dispatch, handle, error);
+        const render = (transition, previous) => {
+            if (!transition) {
+                svg.selectAll('*').remove();
+            }
+            const size = chartUtils.resolveSize(containerSelection, handle.config);
+            const series = getSeries(handle.config);
+            Object.assign(handle, draw(svg, handle.data, series, Object.assign({}, handle.config, size),
+                transition, previous, screenReader));
+        };
+        const handle = {
+            svg: svg,
+            config: chartUtils.mergeConfig(defaultConfig, config),
+            on: (type, listener) => {
+                dispatch.on(type, listener);
+                return handle;
+            },
+            download: (options) => chartUtils.downloadChart(svg, options),
+            redraw: (configChanges) => {
+                handle.config = chartUtils.mergeConfig(handle.config, configChanges);
+                getData(handle.config, getSeries(handle.config), (data) => {
+                    handle.data = data;
+                    render();
+                }, fail);
+                return handle;
+            },
+            update: (data) => {
+                handle.config = chartUtils.mergeConfig(handle.config, { data });
+                getData(handle.config, getSeries(handle.config), (rows) => {
+                    const previous = handle.plot && {
+                        data: handle.data,
+                        scales: { x: handle.scales.x.copy(), y: handle.scales.y.copy() },
+                        domain: handle.shownDomain()
+                    };
+                    handle.data = rows;
+                    render(previous && chartUtils.makeTransition(svg, handle.config), previous);
+                }, fail);
+                return handle;
+            },
+            setTheme: (theme) => {
+                handle.config = Object.assign({}, handle.config, { theme });
+                if (handle.plot) {
+                    render(null, { domain: handle.shownDomain() });
+                }
+                return handle;
+            },
+            destroy: () => {
+                stopObservingResize();
+                return handle;
+            }
+        };
+        const stopObservingResize = chartUtils.observeResize(containerSelection, () => {
+            if (handle.config.width !== 'auto' || !handle.data) {
+                return;
+            }
+            render(null, { domain: handle.shownDomain() });
         });
+        return handle.redraw();
     }
 
 
-    window.onload = draw;
+    return rateChart;
 
 
 })();
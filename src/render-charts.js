@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Renders the charts outside a browser, to standalone SVG and PNG, e.g. for a nightly report.
+ *
+ * This runs in Node, and needs these modules, pinned in package.json (npm install):
+ *   jsdom (version 22): the document the charts draw into, in place of a browser.  Later versions no longer
+ *     export ResourceLoader.
+ *   d3 (version 4) and topojson-client: loaded into the document in place of the CDN scripts.
+ *   @resvg/resvg-js: rasterizes the SVG to PNG.
+ *
+ * Command line: node src/render-charts.js [outputDir], or npm run render to render into out/
+ *   renders the example page of each chart to bar-chart.svg/png, rate-chart.svg/png and us-map-overlay.svg/png
+ *   in outputDir (by default the current directory).
+ *
+ * As a module:
+ *   renderChart(chartName, config, options) draws one chart ('barChart', 'rateChart' or 'usMapOverlay') with
+ *   the given config, where data URLs are local file paths relative to options.baseDir (default: the current
+ *   directory).
+ *   renderPage(htmlFile, options) draws the chart(s) on an html page, like the examples, loading its data files.
+ * Both return a promise of { svg, png }: the svg markup with the chart stylesheet inlined (in the chart's theme),
+ * and a PNG buffer.
+ * options.pixelRatio scales the PNG (default 1), and options.timeout limits the wait for the data (default 10s).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { Resvg } = require('@resvg/resvg-js');
+
+
+/**
+ * Script and stylesheet of each chart, relative to this directory.
+ */
+const charts = {
+    barChart: { script: 'bar-chart/bar-chart.js', css: 'bar-chart/bar-chart.css' },
+    rateChart: { script: 'rate-chart/rate-chart.js', css: 'rate-chart/rate-chart.css' },
+    usMapOverlay: { script: 'us-map-overlay/us-map-overlay.js', css: 'us-map-overlay/us-map-overlay.css' }
+};
+
+
+const examplePages = ['bar-chart/bar-chart.html', 'rate-chart/rate-chart.html', 'us-map-overlay/us-map-overlay.html'];
+
+
+/**
+ * Local files for the scripts the pages load from a CDN.
+ */
+const libraries = [
+    { pattern: /d3js\.org\/d3\.v4/, file: () => require.resolve('d3/build/d3.js') },
+    { pattern: /topojson-client/, file: () => require.resolve('topojson-client/dist/topojson-client.js') }
+];
+
+
+class LocalLibraryLoader extends ResourceLoader {
+    fetch(url, options) {
+        const library = libraries.find(l => l.pattern.test(url));
+        return library ? Promise.resolve(fs.readFileSync(library.file())) : super.fetch(url, options);
+    }
+}
+
+
+/**
+ * Creates the jsdom window for a page.  Script errors (e.g. bad data) are passed to onError.
+ */
+function createDom(html, url, onError) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', onError);
+    return new JSDOM(html, {
+        url: url,
+        runScripts: 'dangerously',
+        resources: new LocalLibraryLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+}
+
+
+/**
+ * Draws one chart into an empty document, with the given config.
+ */
+function renderChart(chartName, config, options) {
+    const chart = charts[chartName];
+    if (!chart) {
+        return Promise.reject(new Error("Unknown chart: '" + chartName + "'"));
+    }
+    options = Object.assign({ baseDir: process.cwd() }, options);
+    const css = fs.readFileSync(path.join(__dirname, chart.css), 'utf8');
+    return new Promise((resolve, reject) => {
+        const dom = createDom('<!DOCTYPE html><html><head><style>' + css + '</style></head><body></body></html>',
+            'file://' + path.resolve(options.baseDir) + '/', reject);
+        const window = dom.window;
+        [
+            libraries[0].file(),
+            libraries[1].file(),
+            path.join(__dirname, 'chart-utils.js'),
+            path.join(__dirname, chart.script)
+        ].forEach(file => {
+            const script = window.document.createElement('script');
+            script.textContent = fs.readFileSync(file, 'utf8');
+            window.document.head.appendChild(script);
+        });
+        const handle = window.eval(chartName)(window.document.body, config);
+        waitUntil(() => handle.plot, options)
+            .then(() => resolve(exportSvg(handle.svg.node(), css, options)))
+            .catch(reject)
+            .then(() => window.close());
+    });
+}
+
+
+/**
+ * Draws the chart on an html page, by loading it as a browser would, and returns the first chart drawn.
+ */
+function renderPage(htmlFile, options) {
+    options = Object.assign({}, options);
+    const file = path.resolve(htmlFile);
+    return new Promise((resolve, reject) => {
+        const dom = createDom(fs.readFileSync(file, 'utf8'), 'file://' + file, reject);
+        const document = dom.window.document;
+        const css = Array.from(document.querySelectorAll('link[rel=stylesheet]'))
+            .map(link => fs.readFileSync(path.resolve(path.dirname(file), link.getAttribute('href')), 'utf8'))
+            .join('\n');
+        const drawnSvg = () => Array.from(document.querySelectorAll('svg')).find(svg => svg.childElementCount > 0);
+        waitUntil(drawnSvg, options)
+            .then(() => resolve(exportSvg(drawnSvg(), css, options)))
+            .catch(reject)
+            .then(() => dom.window.close());
+    });
+}
+
+
+/**
+ * Resolves once isDone() is true, checking every 50ms, which leaves time for the data files to load.
+ */
+function waitUntil(isDone, options) {
+    const timeout = options.timeout || 10000;
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (isDone()) {
+                resolve();
+            }
+            else if (Date.now() - start > timeout) {
+                reject(new Error('Chart not drawn after ' + timeout + 'ms'));
+            }
+            else {
+                setTimeout(check, 50);
+            }
+        };
+        check();
+    });
+}
+
+
+/**
+ * Returns the standalone svg markup, with the chart stylesheet inlined, and the PNG rendered from it.
+ */
+function exportSvg(svgNode, css, options) {
+    const copy = svgNode.cloneNode(true);
+    const style = svgNode.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.textContent = resolveThemeProperties(css, svgNode);
+    copy.insertBefore(style, copy.firstChild);
+    copy.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns', 'http://www.w3.org/2000/svg');
+    const svg = '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + new svgNode.ownerDocument.defaultView.XMLSerializer().serializeToString(copy);
+    const png = new Resvg(svg, {
+        fitTo: { mode: 'zoom', value: options.pixelRatio || 1 },
+        background: 'white'
+    }).render().asPng();
+    return { svg, png };
+}
+
+
+/**
+ * Replaces the theme's css custom properties in the stylesheet, e.g. var(--chart-background), with their values
+ * on the chart svg (see chartUtils.applyTheme), since SVG renderers such as resvg don't support them.
+ */
+function resolveThemeProperties(css, svgNode) {
+    return css.replace(/var\((--[\w-]+)\)/g,
+        (reference, property) => svgNode.style.getPropertyValue(property).trim() || reference);
+}
+
+
+/**
+ * Renders each example page to <name>.svg and <name>.png in the output directory.
+ */
+function main(outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    return examplePages.reduce((previous, page) => previous.then(() =>
+        renderPage(path.join(__dirname, page)).then(({ svg, png }) => {
+            const name = path.basename(page, '.html');
+            fs.writeFileSync(path.join(outputDir, name + '.svg'), svg);
+            fs.writeFileSync(path.join(outputDir, name + '.png'), png);
+            console.log('Wrote ' + path.join(outputDir, name) + '.svg/png');
+        })), Promise.resolve());
+}
+
+
+module.exports = { renderChart, renderPage };
+
+
+if (require.main === module) {
+    main(process.argv[2] || '.').catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,19 @@
+'use strict';
+(function () {
+
+
+    /**
+     * Plots the example data, us-map-overlay.json: the US airports with the most plane movements in 2015.
+     */
+    function draw() {
+        usMapOverlay('body', {
+            data: 'us-map-overlay.json',
+            title: 'Air routes among airports with highest plane movements ({period})'
+        });
+    }
+
+
+    window.onload = draw;
+
+
+})();
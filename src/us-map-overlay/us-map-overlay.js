@@ -1,257 +1,1593 @@
 'use strict';
-(function () {
+
+/**
+ * Reusable map of the United States with an overlay of airports and the air routes among them.
+ *
+ * Usage: usMapOverlay(container, config) draws the map and airports into the container (a selector string,
+ * DOM element or D3 selection), and returns a handle for the chart.  See defaultConfig for the options.
+ */
+const usMapOverlay = (function () {
 
 
     /**
-     * Obtains the example data to be plotted, and passes it to the 'next' function when the request is done.
+     * Options accepted by usMapOverlay().  Anything the caller leaves out takes the value given here.
+     *
+     * data is either the URL of a JSON file or an in-memory array of airport objects, each with
+     * code, name, latitude, longitude and movements, the number of plane movements per period, e.g.
+     * { "2014": 868359, "2015": 882497 }.  Periods can be years or months ("2015-01"), and sort by their names.
+     * Fields in the older one-year format, like movements2015, are read as periods too.
+     *
+     * boundaries is either the URL of a GeoJSON or TopoJSON file of state boundaries, or the parsed object.
+     * For TopoJSON, boundariesObject names the object holding the states.
+     *
+     * projection is one of the presets in projectionPresets, or a d3-geo projection.  The projection is fitted
+     * to the plot area: for albersUsa, to every state (Alaska, Hawaii and Puerto Rico are drawn as insets); for
+     * the other projections, to the 48 contiguous states and the airports in the states, Alaska, Hawaii and
+     * Puerto Rico, or to every state and airport if fitToAll is true.  Airports go through the same projection,
+     * and those it can't place or that lie beyond the fitted states (e.g. on Guam) are left out of the map, and
+     * listed in the handle's unplaced.
+     *
+     * routes is 'all' to connect every pair of airports, or else the URL of a JSON file or an in-memory array of
+     * routes { from, to, volume }, where from and to are airport codes.  Routes are drawn as great-circle paths,
+     * classed by direction of travel (all pairs have none), and routeWeight says whether a route's volume sets its
+     * stroke width, its opacity, or 'both' (null for neither), over the routeWidth and routeOpacity ranges.
+     *
+     * To keep dense networks legible, minVolume drops the routes below that volume, and topRoutesPerAirport keeps
+     * only the K busiest routes of each airport (see filterRoutes).  Setting bundling to 'force' bundles similar
+     * routes together with force-directed edge bundling, in place of the great-circle paths; bundlingCompatibility
+     * (0 to 1) is how alike two routes must be to attract each other.
+     *
+     * labels places the airport codes: 'avoid' moves them clear of other circles and labels (see
+     * placeAirportLabels), 'below' puts each directly below its circle, and 'none' leaves them out.
      *
-     * The data is an array of airport objects.
+     * Circle areas are proportional to movements, with maxRadius for the busiest airport (see makeScales).
+     *
+     * stateData adds a choropleth under the airports: the URL of a JSON or CSV file, or an in-memory array,
+     * of rows with a value per state.  stateId gives the row's state as a FIPS code (e.g. '06') or postal code
+     * ('CA'), and stateValue its value.  The states are filled by value with stateColor: type 'sequential' or
+     * 'diverging' (around midpoint), through the interpolator, over the domain ([min, max], or [min, midpoint, max]
+     * for diverging); by default over the range of the values.  stateLabel names the value in the color ramp
+     * legend and the state tooltips, and stateFormat is the d3-format specifier for it.
+     * overlay false leaves out the airports and routes, to show the choropleth alone.
+     *
+     * The map shows one period at a time: period, or else the latest.  Route volumes may also be given per period,
+     * as objects like movements.  Changing period animates the circle radii and route weights over
+     * periodTransition milliseconds, and fades out the airports (and their routes) with no movements in it.
+     * The layout stays put: labels are placed for each airport's largest circle, and routes are filtered by their
+     * peak volume.  When there is more than one period, periodControls adds a slider and play button below the
+     * map, and playInterval is the time per period when playing.  Any {period} in the title shows the current one.
+     *
+     * description is the map's text alternative for screen readers, in place of the summary of the airports and
+     * state values written by describeMap.
+     *
+     * breakpoints are the map widths below which the route and size legends, and the state color legend, are
+     * left out.  The map takes the size, transition and theme options of every chart (see chartUtils.sharedConfig);
+     * the theme styles the period controls too, and the state colors default to its sequential or diverging
+     * interpolator.
      */
-    function getData(next) {
-        d3.json('us-map-overlay.json', (data) => next(data) );
-    }
+    const defaultConfig = Object.assign({}, chartUtils.sharedConfig, {
+        data: [],
+        boundaries: 'us-states-10m.json',
+        boundariesObject: 'states',
+        projection: 'albersUsa',
+        fitToAll: false,
+        routes: 'all',
+        routeWeight: 'width',
+        routeWidth: [0.5, 6],
+        routeOpacity: [0.15, 0.9],
+        minVolume: 0,
+        topRoutesPerAirport: null,
+        bundling: null,
+        bundlingCompatibility: 0.6,
+        labels: 'avoid',
+        maxRadius: 10,
+        stateData: null,
+        stateId: (d) => d.id,
+        stateValue: (d) => +d.value,
+        stateLabel: 'Value',
+        stateFormat: ',',
+        stateColor: {
+            type: 'sequential',
+            interpolator: null, //defaults to the theme's sequential or diverging interpolator
+            domain: null,
+            midpoint: 0
+        },
+        overlay: true,
+        period: null,
+        periodTransition: 750,
+        periodControls: true,
+        playInterval: 1500,
+        title: '',
+        description: null,
+        breakpoints: {
+            legend: 480,
+            colorLegend: 320
+        },
+        padding: { //main chart area padding
+            top: 60,
+            right: 5,
+            bottom: 35,
+            left: 5
+        }
+    });
 
 
-    function getPlotArea() {
-        const plot = {
-            svg: {
-                width: 800,
-                height: 500
-            },
-            padding: { //main chart area padding
-                top: 60,
-                right: 5,
-                bottom: 5,
-                left: 5
+    /**
+     * d3.geoAlbersUsa with a Puerto Rico inset as well, off the Atlantic coast: a composite projection that draws
+     * every shape in each of its parts, each part clipped to its own region of the map.  Like its parts, it has a
+     * linear scale() and translate(), the Puerto Rico inset's following the mainland's.
+     *
+     * inInset(coordinates) tells whether a point is drawn in one of the insets, i.e. not by the contiguous 48 part.
+     */
+    function albersUsaPuertoRico() {
+        const mainland = d3.geoAlbersUsa();
+        const lower48 = d3.geoAlbers();
+        const puertoRico = d3.geoConicEqualArea().rotate([66, 0]).center([0, 18]).parallels([8, 18]);
+        const inset = { x0: 0.32, y0: 0.14, x1: 0.38, y1: 0.17 };
+        let point = null;
+        let lower48Point;
+        let puertoRicoPoint;
+        const pointStream = { point: (x, y) => { point = [x, y]; } };
+        const projection = (coordinates) => {
+            point = null;
+            return mainland(coordinates) || (puertoRicoPoint.point(coordinates[0], coordinates[1]), point);
+        };
+        projection.invert = (coordinates) => {
+            const k = mainland.scale();
+            const t = mainland.translate();
+            const x = (coordinates[0] - t[0]) / k;
+            const y = (coordinates[1] - t[1]) / k;
+            const inInset = x >= inset.x0 && x < inset.x1 && y >= inset.y0 && y < inset.y1;
+            return (inInset ? puertoRico : mainland).invert(coordinates);
+        };
+        projection.inInset = (coordinates) => {
+            point = null;
+            lower48Point.point(coordinates[0], coordinates[1]);
+            return !point && Boolean(projection(coordinates));
+        };
+        projection.stream = (stream) => {
+            const streams = [mainland.stream(stream), puertoRico.stream(stream)];
+            const multiplex = {};
+            ['point', 'sphere', 'lineStart', 'lineEnd', 'polygonStart', 'polygonEnd'].forEach(method => {
+                multiplex[method] = function () {
+                    streams.forEach(part => part[method].apply(part, arguments));
+                };
+            });
+            return multiplex;
+        };
+        projection.scale = function (k) {
+            if (!arguments.length) {
+                return mainland.scale();
             }
+            mainland.scale(k);
+            lower48.scale(k);
+            puertoRico.scale(k);
+            return projection.translate(mainland.translate());
         };
-        plot.range = { //drawn axis length in pixels
-            x: plot.svg.width - plot.padding.left - plot.padding.right,
-            y: plot.svg.height - plot.padding.top - plot.padding.bottom
+        projection.translate = function (t) {
+            if (!arguments.length) {
+                return mainland.translate();
+            }
+            const k = mainland.scale();
+            const x = +t[0];
+            const y = +t[1];
+            mainland.translate(t);
+            lower48Point = lower48
+                .translate(t)
+                .clipExtent([[x - 0.455 * k, y - 0.238 * k], [x + 0.455 * k, y + 0.238 * k]])
+                .stream(pointStream);
+            puertoRicoPoint = puertoRico
+                .translate([x + 0.35 * k, y + 0.155 * k])
+                .clipExtent([[x + inset.x0 * k, y + inset.y0 * k], [x + inset.x1 * k, y + inset.y1 * k]])
+                .stream(pointStream);
+            return projection;
+        };
+        projection.fitSize = (size, object) => {
+            projection.scale(150).translate([0, 0]);
+            const bounds = d3.geoPath(projection).bounds(object);
+            const k = Math.min(size[0] / (bounds[1][0] - bounds[0][0]), size[1] / (bounds[1][1] - bounds[0][1]));
+            return projection.scale(150 * k)
+                .translate([(size[0] - k * (bounds[1][0] + bounds[0][0])) / 2,
+                    (size[1] - k * (bounds[1][1] + bounds[0][1])) / 2]);
         };
-        return plot;
+        return projection.scale(mainland.scale());
     }
 
 
+    const projectionPresets = {
+        albersUsa: albersUsaPuertoRico,
+        mercator: d3.geoMercator,
+        equirectangular: d3.geoEquirectangular
+    };
+
+
     /**
-     * Linear scales used in this chart:
-     *
-     * r: Airport circle radius, proportional to annual number of airplane movements.
+     * FIPS codes of the states and territories outside the contiguous 48 (plus DC):
+     * Alaska, Hawaii, American Samoa, Guam, Northern Mariana Islands, Puerto Rico and the Virgin Islands.
+     */
+    const nonContiguousIds = ['02', '15', '60', '66', '69', '72', '78'];
+
+
+    /**
+     * FIPS codes of the territories other than Puerto Rico, which have no inset in albersUsa, and whose airports
+     * the other projections leave out unless fitToAll is true: American Samoa, Guam, the Northern Mariana Islands
+     * and the Virgin Islands.
+     */
+    const outlyingIds = ['60', '66', '69', '78'];
+
+
+    /**
+     * Obtains the airports, the state boundaries, the route list and the state data, and passes them to the
+     * 'next' function once all are available.  URLs are requested in parallel (as CSV for a .csv file, JSON
+     * otherwise); in-memory values are passed along as they are, and the route list is null when routes is 'all'.
      *
-     * x: Longitude (West).  Requires equirectangular map projection.
+     * The boundaries are passed on as a GeoJSON FeatureCollection, converting from TopoJSON if necessary.
+     * If a request fails, or the TopoJSON has no boundaries object, the 'fail' function gets the error instead.
+     */
+    function getData(config, next, fail) {
+        const load = (source, callback) => {
+            if (typeof source === 'string') {
+                (/\.csv$/i.test(source) ? d3.csv : d3.json)(source, callback);
+            }
+            else {
+                callback(null, source);
+            }
+        };
+        d3.queue()
+            .defer(load, config.data)
+            .defer(load, config.boundaries)
+            .defer(load, config.routes === 'all' ? null : config.routes)
+            .defer(load, config.stateData)
+            .await((error, airports, boundaries, routes, stateRows) => {
+                if (error) {
+                    fail(error);
+                    return;
+                }
+                let states;
+                try {
+                    states = toFeatureCollection(boundaries, config);
+                }
+                catch (failure) {
+                    fail(failure);
+                    return;
+                }
+                next(airports, states, routes, stateRows);
+            });
+    }
+
+
+    function toFeatureCollection(boundaries, config) {
+        if (boundaries.type !== 'Topology') {
+            return boundaries;
+        }
+        const object = boundaries.objects[config.boundariesObject];
+        if (!object) {
+            throw new Error("TopoJSON has no object named '" + config.boundariesObject + "'");
+        }
+        return topojson.feature(boundaries, object);
+    }
+
+
+    /**
+     * Returns the map projection, fitted to the plot range.  When it is fitted to the contiguous states, the
+     * airports are fitted in as well, so that those in Alaska, Hawaii or Puerto Rico are still on the map.
+     * For fitToAll, it is fitted to every state and airport.
+     */
+    function makeProjection(config, states, airports, plot) {
+        const preset = projectionPresets[config.projection];
+        if (typeof config.projection === 'string' && !preset) {
+            throw new Error("Unknown projection: '" + config.projection + "'");
+        }
+        const projection = preset ? preset() : config.projection;
+        const albersUsa = config.projection === 'albersUsa';
+        const regions = config.fitToAll || albersUsa
+            ? states.features
+            : states.features.filter(f => nonContiguousIds.indexOf(String(f.id)) < 0);
+        const airportPoints = {
+            type: 'Feature',
+            geometry: {
+                type: 'MultiPoint',
+                coordinates: airports.map(airport => [airport.longitude, airport.latitude])
+            }
+        };
+        const fitted = {
+            type: 'FeatureCollection',
+            features: airports.length && !albersUsa ? regions.concat([airportPoints]) : regions
+        };
+        return projection.fitSize([plot.range.x, plot.range.y], fitted);
+    }
+
+
+    /**
+     * Returns the airports to place on the map.  Except for albersUsa, which places what its insets cover, or
+     * when fitToAll is true, these are the airports within the bounds of a state, Alaska, Hawaii or Puerto Rico,
+     * so that one far away (e.g. on Guam) doesn't shrink the map to fit it in.
+     */
+    function mappedAirports(airports, states, config) {
+        if (config.fitToAll || config.projection === 'albersUsa') {
+            return airports;
+        }
+        const bounds = states.features
+            .filter(f => outlyingIds.indexOf(String(f.id)) < 0)
+            .map(f => d3.geoBounds(f));
+        //Bounds across the antimeridian (e.g. Alaska's Aleutians) run from a west longitude above the east one.
+        const within = (b, longitude, latitude) => latitude >= b[0][1] && latitude <= b[1][1]
+            && (b[0][0] <= b[1][0]
+                ? longitude >= b[0][0] && longitude <= b[1][0]
+                : longitude >= b[0][0] || longitude <= b[1][0]);
+        return airports.filter(airport => bounds.some(b => within(b, airport.longitude, airport.latitude)));
+    }
+
+
+    /**
+     * Scales used in this chart:
      *
-     * y: Latitude (North).  Requires equirectangular map projection.
+     * r: Airport circle radius, from 0 up to maxRadius for the busiest airport in any period.  This is a square
+     *    root scale, so that the circle area is proportional to the number of airplane movements.
+     * routeWidth, routeOpacity: Route stroke width and opacity, proportional to route volume.
      */
-    function makeScales(plot) {
+    function makeScales(airports, routes, config) {
+        const volume = d3.scaleLinear()
+            .domain([0, d3.max(routes, route => route.peakVolume) || 1]);
         return {
-            r: d3.scaleLinear()
-                .domain([100000,1000000])
-                .range([1,10]),
-            x: d3.scaleLinear()
-                .domain([-124.711776,-67.0999376]) //Longitudes: [Cape Flattery, Washington; Lubec, Maine]
-                .range([0,plot.range.x]),
-            y: d3.scaleLinear()
-                .domain([24.5646815,49.3782021])   //Latitudes: [Key West, Florida; Angle Township, Minnesota]
-                .range([plot.range.y,0])
+            r: d3.scaleSqrt()
+                .domain([0, d3.max(airports, airport => airport.peakMovements) || 1])
+                .range([0, config.maxRadius]),
+            routeWidth: volume.copy().range(config.routeWidth),
+            routeOpacity: volume.copy().range(config.routeOpacity)
         };
     }
 
 
     /**
-     * Loads the US map SVG as a DOM Element, scales it to fit our plot range,
-     * and passes the map (as a D3 Selection) to the next() callback.
+     * Projects each airport's longitude/latitude into the plot area, and returns the airports that could be
+     * placed, with their position added as { x, y }, their movements per period, and their peakMovements.
+     */
+    function placeAirports(data, projection) {
+        return data
+            .map(airport => {
+                const point = projection([airport.longitude, airport.latitude]);
+                if (!point) {
+                    return null;
+                }
+                const movements = airport.movements || oneYearMovements(airport);
+                return Object.assign({}, airport, {
+                    x: point[0],
+                    y: point[1],
+                    movements: movements,
+                    peakMovements: d3.max(d3.values(movements))
+                });
+            })
+            .filter(airport => airport);
+    }
+
+
+    /**
+     * Collects one-year fields like movements2015 into movements per period, e.g. { "2015": 882497 }.
      */
-    function appendMap(paddingGroup, plot, next) {
-        d3.xml('Blank_Map_Equirectangular_United_States_48.svg').mimeType('image/svg+xml').get((error, xml) => {
-            if (error) {
-                throw error;
+    function oneYearMovements(airport) {
+        const movements = {};
+        Object.keys(airport).forEach(key => {
+            const match = /^movements(\d{4})$/.exec(key);
+            if (match) {
+                movements[match[1]] = airport[key];
             }
-            const svgElement = document.importNode(xml.documentElement, true);
-            const origWidth = svgElement.getAttribute('width');
-            const origHeight = svgElement.getAttribute('height');
-            svgElement.setAttribute('width', plot.range.x);
-            svgElement.setAttribute('height', plot.range.y);
-            svgElement.setAttribute('viewBox', '0 0 ' + origWidth + ' ' + origHeight);
-            svgElement.setAttribute('preserveAspectRatio', 'none'); //Non-uniform scaling
-            paddingGroup.node().appendChild(svgElement);
-            const svgSelection = d3.select('#' + svgElement.id);
-            next(svgSelection);
         });
+        return movements;
     }
 
 
     /**
-     * Appends an elliptical arc for all possible air routes, i.e. draws a fully connected graph of airport nodes.
+     * Returns the sorted names of all the periods with movements or volumes in them.
      */
-    function appendRouteArcs(paddingGroup, data, scales) {
-        const routesGroup = paddingGroup.append('g').attr('class', 'routes');
-        routesGroup.selectAll()
-            .data(data)
-            .enter()
-            .each(function(d,i) {
-                for (let j = 0; j < data.length; ++j) {
-                    if (j != i) {
-                        appendOneRouteArc(routesGroup, d, data[j], scales);
-                    }
+    function getPeriods(airports, routes) {
+        const periods = d3.set();
+        airports.forEach(airport => Object.keys(airport.movements).forEach(period => periods.add(period)));
+        routes.filter(route => isPerPeriod(route.volume))
+            .forEach(route => Object.keys(route.volume).forEach(period => periods.add(period)));
+        return periods.values().sort();
+    }
+
+
+    function isPerPeriod(volume) {
+        return volume != null && typeof volume === 'object';
+    }
+
+
+    /**
+     * Returns a route's volume in the period: undefined if it has none then, and the same in every period
+     * if it was given as a single number.
+     */
+    function volumeIn(route, period) {
+        return isPerPeriod(route.volume) ? route.volume[period] : route.volume;
+    }
+
+
+    /**
+     * Two-letter postal codes of the states and territories, by FIPS code.
+     */
+    const postalCodes = {
+        '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE',
+        '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA',
+        '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+        '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM',
+        '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI',
+        '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+        '54': 'WV', '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI'
+    };
+
+
+    /**
+     * Returns the two-digit FIPS code for a state id given as a FIPS code (e.g. 6 or '06') or a postal code
+     * (e.g. 'CA'), or undefined if it's neither.
+     */
+    function toFipsCode(id) {
+        const text = String(id).trim();
+        if (/^\d+$/.test(text)) {
+            return text.length < 2 ? '0' + text : text;
+        }
+        const postal = text.toUpperCase();
+        return Object.keys(postalCodes).find(fips => postalCodes[fips] === postal);
+    }
+
+
+    /**
+     * Joins the per-state rows to the states, and returns the state values keyed by FIPS code.
+     */
+    function getStateValues(rows, config) {
+        const values = d3.map();
+        rows.forEach((row, i) => {
+            const fips = toFipsCode(config.stateId(row));
+            if (fips === undefined) {
+                throw new Error("Row " + (i + 1) + ": can't match state '" + config.stateId(row) + "'");
+            }
+            values.set(fips, config.stateValue(row));
+        });
+        return values;
+    }
+
+
+    /**
+     * Returns the state fill color function for config.stateColor, with the lowest and highest values it covers
+     * as its extent.
+     *
+     * The sequential type runs through the interpolator from the lowest to the highest value.  The diverging type
+     * puts the middle of the interpolator at the midpoint, and spreads the same distance either side of it.
+     */
+    function makeStateColorScale(stateValues, config, theme) {
+        const options = config.stateColor;
+        const values = stateValues.values();
+        if (options.type !== 'sequential' && options.type !== 'diverging') {
+            throw new Error("Unknown state color type: '" + options.type + "'");
+        }
+        const interpolator = options.interpolator || theme[options.type];
+        let position;
+        if (options.type === 'diverging') {
+            const spread = d3.max(values, value => Math.abs(value - options.midpoint)) || 1;
+            const domain = options.domain || [options.midpoint - spread, options.midpoint, options.midpoint + spread];
+            position = d3.scaleLinear().domain(domain).range([0, 0.5, 1]).clamp(true);
+        }
+        else {
+            position = d3.scaleLinear().domain(options.domain || d3.extent(values)).clamp(true);
+        }
+        const color = (value) => interpolator(position(value));
+        color.extent = d3.extent(position.domain());
+        return color;
+    }
+
+
+    /**
+     * Draws the state boundaries as the map backdrop, or draws them again in place.
+     */
+    function appendMap(paddingGroup, states, projection) {
+        const path = d3.geoPath().projection(projection);
+        const statePaths = chartUtils.selectOrAppend(paddingGroup, 'g', 'states')
+            .selectAll('path')
+            .data(states.features, state => state.id);
+        chartUtils.join(statePaths, 'path', (paths) => paths.attr('d', path));
+    }
+
+
+    /**
+     * Returns the routes to draw, as { from, to, volume } with the from/to airport objects in place of their codes.
+     * Routes between airports that weren't placed on the map are left out.
+     *
+     * With no route list, every pair of airports is connected once, with no volume and no direction.  Listed
+     * routes are directed, from their from airport to their to airport.
+     */
+    function getRoutes(airports, routeList) {
+        if (!routeList) {
+            const pairs = [];
+            airports.forEach((from, i) => {
+                airports.slice(i + 1).forEach(to => pairs.push({ from, to }));
+            });
+            return pairs;
+        }
+        const airportsByCode = d3.map(airports, airport => airport.code);
+        return routeList
+            .filter(route => route.from !== route.to
+                && airportsByCode.has(route.from) && airportsByCode.has(route.to))
+            .map(route => ({
+                from: airportsByCode.get(route.from),
+                to: airportsByCode.get(route.to),
+                directed: true,
+                volume: route.volume,
+                peakVolume: isPerPeriod(route.volume) ? d3.max(d3.values(route.volume)) : route.volume
+            }));
+    }
+
+
+    /**
+     * Thins out the routes: drops those with a peak volume below minVolume, then, if topRoutesPerAirport is set,
+     * keeps only the routes that are among the K busiest of either of their airports.  Routes without a volume
+     * (e.g. all pairs) are never dropped by minVolume, and are ranked by the product of their airports' peak
+     * movements.
+     */
+    function filterRoutes(routes, config) {
+        const aboveMinimum = routes.filter(route => route.peakVolume == null || route.peakVolume >= config.minVolume);
+        const k = config.topRoutesPerAirport;
+        if (!k) {
+            return aboveMinimum;
+        }
+        const weightOf = route => route.peakVolume != null
+            ? route.peakVolume
+            : route.from.peakMovements * route.to.peakMovements;
+        const routesByAirport = d3.map();
+        aboveMinimum.forEach(route => {
+            [route.from.code, route.to.code].forEach(code => {
+                if (!routesByAirport.has(code)) {
+                    routesByAirport.set(code, []);
+                }
+                routesByAirport.get(code).push(route);
+            });
+        });
+        const kept = new Set();
+        routesByAirport.each(airportRoutes => {
+            airportRoutes
+                .sort((a, b) => weightOf(b) - weightOf(a))
+                .slice(0, k)
+                .forEach(route => kept.add(route));
+        });
+        return aboveMinimum.filter(route => kept.has(route));
+    }
+
+
+    /**
+     * Settings for force-directed edge bundling, as recommended by Holten and van Wijk, "Force-Directed Edge
+     * Bundling for Graph Visualization" (2009).  Each cycle doubles the number of points along each route and
+     * halves the step size, and runs fewer iterations than the last.
+     */
+    const bundling = {
+        cycles: 6,
+        iterations: 90,
+        iterationRate: 2/3,
+        step: 0.1,
+        springConstant: 0.1
+    };
+
+
+    /**
+     * Force-directed edge bundling: each route becomes a polyline whose points are pulled toward the corresponding
+     * points of similar routes (electrostatic force), while springs between neighboring points keep the route
+     * from wandering off.  Routes are only attracted to routes whose compatibility (see routeCompatibility) is at
+     * least the given threshold, so only routes running roughly side by side get bundled.
+     *
+     * Adds the bundled polyline to each route, as points [[x, y], ...] in the plot area.
+     */
+    function bundleRoutes(routes, compatibilityThreshold) {
+        const edges = routes.map(route => [[route.from.x, route.from.y], [route.to.x, route.to.y]]);
+        const compatibleEdges = edges.map((p, i) => {
+            const compatible = [];
+            edges.forEach((q, j) => {
+                if (i !== j && routeCompatibility(p, q) >= compatibilityThreshold) {
+                    compatible.push({ index: j, reversed: dot(vector(p), vector(q)) < 0 });
                 }
             });
+            return compatible;
+        });
+        let polylines = edges;
+        let segments = 1;
+        let step = bundling.step;
+        let iterations = bundling.iterations;
+        for (let cycle = 0; cycle < bundling.cycles; ++cycle) {
+            segments *= 2;
+            polylines = polylines.map(points => resamplePolyline(points, segments));
+            for (let iteration = 0; iteration < iterations; ++iteration) {
+                polylines = polylines.map((points, i) =>
+                    movePolylinePoints(points, i, polylines, compatibleEdges[i], edges[i], step));
+            }
+            step /= 2;
+            iterations = Math.round(iterations * bundling.iterationRate);
+        }
+        routes.forEach((route, i) => route.points = polylines[i]);
     }
 
 
     /**
-     * Appends an elliptical arc from the departure airport to the arrival airport.
-     * We'll distinguish the direction of travel (eastward vs westward) with a css class on the arc path.
+     * Bundles the routes (see bundleRoutes), or reuses the polylines bundled for an earlier drawing of the same
+     * routes, airports, projection and compatibility threshold.  Bundling a few thousand routes takes seconds,
+     * so it shouldn't run again for a resize, a theme or an update with the same airports.
+     *
+     * Redrawing at another size only refits the projection, i.e. changes its scale and translation, so the cache
+     * keeps the polylines in the units of the projection before those, and maps them onto the new fit.
      */
-    function appendOneRouteArc(routesGroup, departureAirport, arrivalAirport, scales) {
-        const xAxisRotation = 0; //Rotation value doesn't matter with a circle.
-        const largeArcFlag = 0; //The "small arc" is the appropriate choice, we don't want a nearly full ellipse.
-        const curX = scales.x(departureAirport.longitude);
-        const curY = scales.y(departureAirport.latitude);
-        const newX = scales.x(arrivalAirport.longitude);
-        const newY = scales.y(arrivalAirport.latitude);
-        const rx = (newX - curX) * 1.5; //Higher multiplier -> arc becomes more like a straight line.
-        const ry = rx; //i.e. ellipse is a circle
-        const sweepFlag = 1; //Sweeps the arc of the ellipse whose area is mainly below the line
-                             //from rx,ry to newX,newY, for eastward paths.  (Reverse for westward.)
-        routesGroup.append('path')
-            .attr('d',
-                'M ' + curX + ',' + curY + ' '
-                + 'A ' + rx + ' ' + ry + ' '
-                + xAxisRotation + ' '
-                + largeArcFlag + ' '
-                + sweepFlag + ' '
-                + newX + ' ' + newY)
-            .classed(curX < newX ? 'eastward' : 'westward', true);
+    function bundleRoutesOnce(routes, projection, config, cache) {
+        const key = [config.bundlingCompatibility].concat(routes.map(route => [
+            route.from.code, route.from.longitude, route.from.latitude,
+            route.to.code, route.to.longitude, route.to.latitude
+        ].join(','))).join(';');
+        const scale = projection.scale();
+        const [translateX, translateY] = projection.translate();
+        if (cache.key === key && cache.projection === config.projection) {
+            routes.forEach((route, i) => route.points = cache.polylines[i]
+                .map(([x, y]) => [translateX + scale * x, translateY + scale * y]));
+            return;
+        }
+        bundleRoutes(routes, config.bundlingCompatibility);
+        Object.assign(cache, {
+            key: key,
+            projection: config.projection,
+            polylines: routes.map(route => route.points
+                .map(([x, y]) => [(x - translateX) / scale, (y - translateY) / scale]))
+        });
     }
 
 
     /**
-     * Draws all the airport circles (and codes).
+     * Returns the polyline after one iteration of spring and electrostatic forces.  The end points stay put.
      */
-    function appendAirportCircles(paddingGroup, data, scales) {
-        paddingGroup.selectAll()
-            .data(data)
-            .enter()
-            .each(function(d,i) {
-                appendOneAirportCircle(paddingGroup, d, scales);
+    function movePolylinePoints(points, index, polylines, compatible, edge, step) {
+        const last = points.length - 1;
+        const springConstant = bundling.springConstant / (length(vector(edge)) * last);
+        return points.map((point, i) => {
+            if (i === 0 || i === last) {
+                return point;
+            }
+            const force = [
+                springConstant * (points[i - 1][0] + points[i + 1][0] - 2 * point[0]),
+                springConstant * (points[i - 1][1] + points[i + 1][1] - 2 * point[1])
+            ];
+            compatible.forEach(other => {
+                const otherPoint = polylines[other.index][other.reversed ? last - i : i];
+                const toOther = [otherPoint[0] - point[0], otherPoint[1] - point[1]];
+                const distance = length(toOther);
+                if (distance > 1e-6) {
+                    force[0] += toOther[0] / distance;
+                    force[1] += toOther[1] / distance;
+                }
             });
+            return [point[0] + step * force[0], point[1] + step * force[1]];
+        });
+    }
+
+
+    /**
+     * Returns segments + 1 points spaced evenly along the polyline, from its first point to its last.
+     */
+    function resamplePolyline(points, segments) {
+        const cumulative = [0];
+        for (let i = 1; i < points.length; ++i) {
+            cumulative.push(cumulative[i - 1] + length([points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]]));
+        }
+        const total = cumulative[cumulative.length - 1];
+        const resampled = [];
+        let j = 1;
+        for (let s = 0; s <= segments; ++s) {
+            const distance = total * s / segments;
+            while (j < points.length - 1 && cumulative[j] < distance) {
+                ++j;
+            }
+            const span = cumulative[j] - cumulative[j - 1];
+            const t = span > 0 ? (distance - cumulative[j - 1]) / span : 0;
+            resampled.push([
+                points[j - 1][0] + t * (points[j][0] - points[j - 1][0]),
+                points[j - 1][1] + t * (points[j][1] - points[j - 1][1])
+            ]);
+        }
+        return resampled;
+    }
+
+
+    /**
+     * Compatibility of two straight routes p and q, from 0 to 1: the product of how parallel they are, how similar
+     * their lengths are, how close their midpoints are, and how much each is "visible" alongside the other.
+     */
+    function routeCompatibility(p, q) {
+        const lengthP = length(vector(p));
+        const lengthQ = length(vector(q));
+        if (!lengthP || !lengthQ) {
+            return 0;
+        }
+        const average = (lengthP + lengthQ) / 2;
+        const angle = Math.abs(dot(vector(p), vector(q)) / (lengthP * lengthQ));
+        const scale = 2 / (average / Math.min(lengthP, lengthQ) + Math.max(lengthP, lengthQ) / average);
+        const midP = midpoint(p);
+        const midQ = midpoint(q);
+        const position = average / (average + length([midP[0] - midQ[0], midP[1] - midQ[1]]));
+        return angle * scale * position * Math.min(visibility(p, q), visibility(q, p));
+    }
+
+
+    /**
+     * How much of route q lies alongside route p: 1 when q projected onto p's line is centered on p, dropping to 0
+     * as it slides off.
+     */
+    function visibility(p, q) {
+        const i0 = projectOntoLine(q[0], p);
+        const i1 = projectOntoLine(q[1], p);
+        const spanLength = length([i1[0] - i0[0], i1[1] - i0[1]]);
+        if (!spanLength) {
+            return 0;
+        }
+        const midI = midpoint([i0, i1]);
+        const midP = midpoint(p);
+        return Math.max(0, 1 - 2 * length([midP[0] - midI[0], midP[1] - midI[1]]) / spanLength);
+    }
+
+
+    function projectOntoLine(point, line) {
+        const v = vector(line);
+        const t = dot([point[0] - line[0][0], point[1] - line[0][1]], v) / dot(v, v);
+        return [line[0][0] + t * v[0], line[0][1] + t * v[1]];
+    }
+
+
+    function vector(line) {
+        return [line[1][0] - line[0][0], line[1][1] - line[0][1]];
+    }
+
+
+    function dot(u, v) {
+        return u[0] * v[0] + u[1] * v[1];
+    }
+
+
+    function length(v) {
+        return Math.sqrt(dot(v, v));
+    }
+
+
+    function midpoint(line) {
+        return [(line[0][0] + line[1][0]) / 2, (line[0][1] + line[1][1]) / 2];
     }
 
 
     /**
-     * Draws a circle for the airport, sized proportional to the movement count, and positioned at the
-     * x/y location mapped from its longitude/latitude coordinates.
+     * Draws each route as the great-circle path between its airports, i.e. the shortest way over the globe,
+     * which the projection bends into a curve (or a straight line, to or from an airport in an inset of the
+     * map, where a great circle would run through the other parts); or as a smooth curve through its bundled
+     * points.  We'll distinguish the direction of travel (eastward vs westward) with a css class on the path, or
+     * give a route without a direction (one of all pairs) the undirected class.  The route volume is shown by
+     * showPeriod.
      *
-     * Also draws the airport code below the circle, as text over a light colored "plate" rect.
+     * Routes are keyed by their airport codes: on an update, new routes fade in, dropped ones fade out, and the
+     * rest change shape (when bundled) over the transition.
      */
-    function appendOneAirportCircle(paddingGroup, airport, scales) {
-        const fontOffset = 16;
-        const plateMargin = 3;
-        const platePadding = 1;
-        const cx = scales.x(airport.longitude);
-        const cy = scales.y(airport.latitude);
-        const airportGroup = paddingGroup.append('g')
+    function appendRoutes(paddingGroup, routes, projection, transition) {
+        const path = d3.geoPath().projection(projection);
+        const curve = d3.line().curve(d3.curveBasis);
+        const routePaths = chartUtils.selectOrAppend(paddingGroup, 'g', 'routes')
+            .selectAll('path:not(.exiting)')
+            .data(routes, route => route.from.code + '-' + route.to.code);
+        const inInset = airport => Boolean(projection.inInset)
+            && projection.inInset([airport.longitude, airport.latitude]);
+        const routePath = (route) => {
+            if (route.points) {
+                return curve(route.points);
+            }
+            if (inInset(route.from) || inInset(route.to)) {
+                return 'M' + route.from.x + ',' + route.from.y + 'L' + route.to.x + ',' + route.to.y;
+            }
+            return path({
+                type: 'LineString',
+                coordinates: [
+                    [route.from.longitude, route.from.latitude],
+                    [route.to.longitude, route.to.latitude]
+                ]
+            });
+        };
+        chartUtils.join(routePaths, 'path', (paths) => paths.attr('d', routePath), transition)
+            .attr('class', routeClass);
+    }
+
+
+    function routeClass(route) {
+        if (!route.directed) {
+            return 'undirected';
+        }
+        return route.from.longitude < route.to.longitude ? 'eastward' : 'westward';
+    }
+
+
+    /**
+     * Draws all the airport circles, positioned at the x/y location projected from their longitude/latitude
+     * coordinates.  They are sized proportional to the movement count by showPeriod.
+     *
+     * Airports are keyed by code.  New airports start out invisible, with no radius, for showPeriod to fade them
+     * in and grow them; on an update, the others move to their new place over the transition, and dropped
+     * airports fade out.
+     */
+    function appendAirportCircles(paddingGroup, airports, transition) {
+        const translate = airport => 'translate(' + airport.x + ',' + airport.y + ')';
+        const airportGroups = chartUtils.selectOrAppend(paddingGroup, 'g', 'airports')
+            .selectAll('.airport:not(.exiting)')
+            .data(airports, airport => airport.code);
+        chartUtils.removeExit(airportGroups.exit(), transition);
+        airportGroups.enter()
+            .append('g')
             .attr('class', 'airport')
-            .attr('transform', 'translate(' + cx + ',' + cy + ')');
-        const r = scales.r(airport.movements2015);
-        airportGroup.append('circle')
-            .attr('r', r);
-        const textWidth = chartUtils.calcTextWidth(paddingGroup, airport.code, 'airport-hidden');
-        airportGroup.append('rect')
-            .attr('class', 'plate')
-            .attr('x', -(textWidth/2 + platePadding))
-            .attr('y', r + plateMargin)
-            .attr('width', textWidth + 2 * platePadding)
-            .attr('height', fontOffset + platePadding);
-        airportGroup.append('text')
-            .attr('y', r + fontOffset)
-            .text(airport.code);
+            .attr('transform', translate)
+            .style('opacity', 0)
+            .append('circle')
+            .attr('r', 0);
+        chartUtils.animate(airportGroups, transition)
+            .attr('transform', translate);
     }
 
 
+    const labelSize = {
+        fontOffset: 16,
+        plateMargin: 3,
+        platePadding: 1,
+        leaderSteps: [12, 24]
+    };
+
+
     /**
-     * Writes the title at the top of the chart.
+     * Directions to try for a label, relative to its circle: below first, then above, the sides and the corners.
+     */
+    const labelDirections = [[0, 1], [0, -1], [1, 0], [-1, 0], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+
+
+    /**
+     * Works out where each airport code goes, as a plate box { x, y, width, height } in the plot area.
+     *
+     * With labels 'below', every code goes directly below its circle.  With 'avoid', the busiest airports are
+     * labelled first, and each label takes the first direction around its circle where it overlaps no circle, no
+     * label placed before it, and doesn't stick out of the plot area.  If no direction is free next to the circle,
+     * the label is moved further out, and joined to its circle by a leader line; if that fails too, the label is
+     * hidden, so labels of low-traffic airports hide before those of high-traffic ones.
+     *
+     * Returns the labels to draw, as { airport, box, leader }, where leader is the line { x1, y1, x2, y2 } from the
+     * circle to a label that had to move away from it, or null.
+     */
+    function placeAirportLabels(paddingGroup, airports, scales, plot, config) {
+        const circles = airports.map(airport => ({ x: airport.x, y: airport.y, r: scales.r(airport.peakMovements) }));
+        const placed = [];
+        airports
+            .slice()
+            .sort((a, b) => b.peakMovements - a.peakMovements)
+            .forEach(airport => {
+                const r = scales.r(airport.peakMovements);
+                const size = {
+                    width: chartUtils.calcTextWidth(paddingGroup, airport.code, 'airport-hidden') + 2 * labelSize.platePadding,
+                    height: labelSize.fontOffset + labelSize.platePadding
+                };
+                if (config.labels === 'below') {
+                    placed.push({ airport, box: labelBox(airport, r, size, labelDirections[0], 0), leader: null });
+                    return;
+                }
+                const isFree = box => isInPlotArea(box, plot)
+                    && !circles.some(circle => boxOverlapsCircle(box, circle))
+                    && !placed.some(label => boxesOverlap(box, label.box));
+                [0].concat(labelSize.leaderSteps).some(step => labelDirections.some(direction => {
+                    const box = labelBox(airport, r, size, direction, step);
+                    if (isFree(box)) {
+                        placed.push({ airport, box, leader: step > 0 ? leaderLine(airport, r, box) : null });
+                        return true;
+                    }
+                    return false;
+                }));
+            });
+        paddingGroup.selectAll('.airport-hidden').remove();
+        return placed;
+    }
+
+
+    /**
+     * Returns the line from the edge of the airport circle, of radius r, to the nearest point of the label box.
+     */
+    function leaderLine(airport, r, box) {
+        const end = closestPointInBox(box, airport);
+        const distance = Math.hypot(end.x - airport.x, end.y - airport.y);
+        return {
+            x1: airport.x + (end.x - airport.x) * r / distance,
+            y1: airport.y + (end.y - airport.y) * r / distance,
+            x2: end.x,
+            y2: end.y
+        };
+    }
+
+
+    /**
+     * Returns the plate box for a label of the given size, placed in the given direction from the airport circle,
+     * plus an extra step further out.
+     */
+    function labelBox(airport, r, size, direction, step) {
+        const diagonal = direction[0] && direction[1] ? Math.SQRT1_2 : 1;
+        const offset = (d, halfSize) => d * (r * diagonal + labelSize.plateMargin + halfSize + step);
+        const centerX = airport.x + offset(direction[0], size.width/2);
+        const centerY = airport.y + offset(direction[1], size.height/2);
+        return {
+            x: centerX - size.width/2,
+            y: centerY - size.height/2,
+            width: size.width,
+            height: size.height
+        };
+    }
+
+
+    function isInPlotArea(box, plot) {
+        return box.x >= 0 && box.y >= 0 && box.x + box.width <= plot.range.x && box.y + box.height <= plot.range.y;
+    }
+
+
+    function boxesOverlap(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+
+
+    function boxOverlapsCircle(box, circle) {
+        const nearest = closestPointInBox(box, circle);
+        return Math.hypot(nearest.x - circle.x, nearest.y - circle.y) < circle.r;
+    }
+
+
+    function closestPointInBox(box, point) {
+        return {
+            x: Math.max(box.x, Math.min(point.x, box.x + box.width)),
+            y: Math.max(box.y, Math.min(point.y, box.y + box.height))
+        };
+    }
+
+
+    /**
+     * Draws the airport codes placed by placeAirportLabels, as text over a light colored "plate" rect, with a
+     * leader line back to the circle for labels that had to move away from it.
+     *
+     * Labels are keyed by airport code, like the circles: new labels start out invisible for showPeriod to fade
+     * them in, and on an update, the others move to their new place over the transition.
      */
-    function appendChartTitle(svg, plot) {
-        svg.append('text')
-            .attr('class', 'chartTitle')
-            .attr('x', plot.svg.width/2)
-            .attr('y', plot.padding.top * 0.66)
-            .text('Air routes among airports with highest plane movements (2015)');
+    function appendAirportLabels(paddingGroup, labels, transition) {
+        const labelGroups = chartUtils.selectOrAppend(paddingGroup, 'g', 'airport-labels')
+            .selectAll('.airport-label:not(.exiting)')
+            .data(labels, label => label.airport.code);
+        chartUtils.removeExit(labelGroups.exit(), transition);
+        const entered = labelGroups.enter()
+            .append('g')
+            .attr('class', 'airport-label')
+            .style('opacity', 0);
+        entered.append('rect')
+            .attr('class', 'plate');
+        entered.append('text');
+        entered.call(placeAirportLabel);
+        const merged = entered.merge(labelGroups);
+        merged.select('text')
+            .text(label => label.airport.code);
+        const leaders = merged.selectAll('line.leader')
+            .data(label => label.leader ? [label.leader] : []);
+        leaders.exit().remove();
+        leaders.enter()
+            .insert('line', ':first-child')
+            .attr('class', 'leader')
+            .call(placeLeaderLine);
+        chartUtils.animate(leaders, transition)
+            .call(placeLeaderLine);
+        chartUtils.animate(labelGroups, transition)
+            .call(placeAirportLabel);
     }
 
 
     /**
-     * The legend consists of several rows having a color chip and label to identify airports and route directions.
+     * Places the plates and text of the label groups (a selection or transition) at their label boxes.
      */
-    function appendLegend(svg, plot) {
-        const area = {
-            row: {
-                spacing: 18
+    function placeAirportLabel(labelGroups) {
+        labelGroups.select('rect.plate')
+            .attr('x', label => label.box.x)
+            .attr('y', label => label.box.y)
+            .attr('width', label => label.box.width)
+            .attr('height', label => label.box.height);
+        labelGroups.select('text')
+            .attr('x', label => label.box.x + label.box.width/2)
+            .attr('y', label => label.box.y + labelSize.fontOffset - labelSize.plateMargin);
+    }
+
+
+    function placeLeaderLine(lines) {
+        lines.attr('x1', line => line.x1)
+            .attr('y1', line => line.y1)
+            .attr('x2', line => line.x2)
+            .attr('y2', line => line.y2);
+    }
+
+
+    /**
+     * Makes the airports selectable.  Hovering an airport previews it, and clicking it selects it, which is
+     * reported to onSelect along with clicks on empty map (to clear the selection).  The routes of the airport
+     * being previewed or selected are highlighted and all other routes dimmed, and the tooltip gives its full
+     * name and movement count.
+     *
+     * The airports can also be stepped through by keyboard, busiest first (see chartUtils.navigateMarks): the
+     * focused airport is previewed, and announce reads out its movements; Enter or Space selects it.
+     *
+     * Returns { highlight(code), refresh() }: to highlight the airport with the given code, or nothing for null,
+     * as the selection; and to bring the highlight, tooltip and keyboard labels up to date, e.g. for another period.
+     */
+    function appendSelectionLayer(paddingGroup, plot, scales, tooltip, getPeriod, onSelect, announce) {
+        const formatMovements = d3.format(',');
+        const routePaths = paddingGroup.selectAll('.routes path:not(.exiting)');
+        const airportGroups = paddingGroup.selectAll('.airport:not(.exiting)');
+        let selected = null;
+        let hovered = null;
+
+        chartUtils.selectOrAppend(paddingGroup, 'rect', 'map-background', paddingGroup.node().firstChild)
+            .attr('width', plot.range.x)
+            .attr('height', plot.range.y);
+        paddingGroup.on('click', () => onSelect(null));
+        airportGroups
+            .on('mouseover', airport => {
+                hovered = airport;
+                refresh();
+            })
+            .on('mouseout', () => {
+                hovered = null;
+                refresh();
+            })
+            .on('click', airport => {
+                d3.event.stopPropagation();
+                onSelect(airport.code);
+            });
+        const describeAirport = airport => {
+            const movements = airport.movements[getPeriod()];
+            return airport.code + ', ' + airport.name + ': '
+                + (movements == null ? 'n/a' : formatMovements(movements)) + ' plane movements in ' + getPeriod();
+        };
+        const busiestFirst = airportGroups.nodes()
+            .sort((a, b) => d3.select(b).datum().peakMovements - d3.select(a).datum().peakMovements);
+        const keyboardAirports = chartUtils.navigateMarks(d3.selectAll(busiestFirst), describeAirport, announce, {
+            onFocus: airport => {
+                hovered = airport;
+                refresh();
             },
-            square: {
-                width: 10
+            onBlur: () => {
+                hovered = null;
+                refresh();
             },
-            circle: {
-                radius: 5
+            onActivate: airport => onSelect(airport.code)
+        });
+
+        function refresh() {
+            keyboardAirports.attr('aria-label', describeAirport);
+            const airport = hovered || selected;
+            const code = airport ? airport.code : null;
+            paddingGroup.select('.routes').classed('dimmed', code !== null);
+            routePaths.classed('highlighted', route => route.from.code === code || route.to.code === code);
+            airportGroups.classed('selected', a => a.code === code);
+            if (!airport) {
+                tooltip.hide();
+                return;
+            }
+            const period = getPeriod();
+            const movements = airport.movements[period];
+            tooltip.show([
+                airport.name,
+                'Plane movements (' + period + '): ' + (movements == null ? 'n/a' : formatMovements(movements))
+            ], airport.x, airport.y, scales.r(movements || 0) + 6);
+        }
+
+        return {
+            highlight: (code) => {
+                selected = airportGroups.data().find(airport => airport.code === code) || null;
+                refresh();
             },
-            textOffset: {
-                x: 10,
-                y: 4
+            refresh: refresh
+        };
+    }
+
+
+    /**
+     * Shows the period: sizes the airport circles and weights the routes by their movements and volumes in it,
+     * and fades out the airports and routes with none.  Changes are animated over the duration, if any, with
+     * the given easing (by default d3's cubic easing).
+     */
+    function showPeriod(svg, period, scales, config, duration, ease) {
+        //Transitions are named, so that a second one on the same elements doesn't interrupt the first.
+        const animate = (selection, name) => duration
+            ? selection.transition(name).duration(duration).ease(ease || d3.easeCubic)
+            : selection;
+        const weight = config.routeWeight;
+        const isMissing = airport => airport.movements[period] == null;
+        const isRouteMissing = route => isMissing(route.from) || isMissing(route.to)
+            || (route.volume != null && volumeIn(route, period) == null);
+
+        const airportGroups = svg.selectAll('.airport:not(.exiting)')
+            .classed('missing', isMissing);
+        animate(airportGroups)
+            .style('opacity', airport => isMissing(airport) ? 0 : 1);
+        animate(airportGroups.select('circle').filter(airport => !isMissing(airport)))
+            .attr('r', airport => scales.r(airport.movements[period]));
+        animate(svg.selectAll('.airport-label:not(.exiting)'))
+            .style('opacity', label => isMissing(label.airport) ? 0 : 1);
+
+        const routePaths = svg.selectAll('.routes path:not(.exiting)');
+        animate(routePaths)
+            .style('stroke-opacity', route => {
+                if (isRouteMissing(route)) {
+                    return 0;
+                }
+                const weighted = route.volume != null && (weight === 'opacity' || weight === 'both');
+                return weighted ? scales.routeOpacity(volumeIn(route, period)) : 1;
+            });
+        animate(routePaths.filter(route => route.volume != null && !isRouteMissing(route)
+                && (weight === 'width' || weight === 'both')), 'width')
+            .style('stroke-width', route => scales.routeWidth(volumeIn(route, period)) + 'px');
+
+        svg.select('text.chartTitle')
+            .text(formatTitle(config.title, period));
+    }
+
+
+    function formatTitle(title, period) {
+        return title.replace('{period}', period);
+    }
+
+
+    /**
+     * Returns the map's name for screen readers: the title, or else what the map shows.
+     */
+    function describeTitle(config, period) {
+        return formatTitle(config.title, period)
+            || (config.overlay ? 'Map of US airports' : 'Map of ' + config.stateLabel + ' by state');
+    }
+
+
+    /**
+     * Summarizes the map for screen readers: the number of airports and routes, and the busiest airport in the
+     * period; and for the state values, which states have the lowest and highest.
+     */
+    function describeMap(airports, routes, states, stateValues, period, config) {
+        const sentences = [];
+        if (config.overlay) {
+            sentences.push('Map of the United States with ' + airports.length + ' airports and ' + routes.length
+                + ' routes between them.');
+            const shown = airports.filter(airport => airport.movements[period] != null);
+            if (shown.length) {
+                const busiest = shown[d3.scan(shown, (a, b) => b.movements[period] - a.movements[period])];
+                sentences.push('Busiest airport in ' + period + ': ' + busiest.code + ', ' + busiest.name + ', with '
+                    + d3.format(',')(busiest.movements[period]) + ' plane movements.');
+            }
+        }
+        const values = stateValues.entries();
+        if (values.length) {
+            const format = d3.format(config.stateFormat);
+            const describe = entry => stateName(states, entry.key) + ', ' + format(entry.value);
+            sentences.push('States are shaded by ' + config.stateLabel + ', from '
+                + describe(values[d3.scan(values, (a, b) => a.value - b.value)]) + ' to '
+                + describe(values[d3.scan(values, (a, b) => b.value - a.value)]) + '.');
+        }
+        return sentences.join(' ');
+    }
+
+
+    function stateName(states, id) {
+        const state = states.features.find(feature => feature.id === id);
+        return state && state.properties && state.properties.name || postalCodes[id] || id;
+    }
+
+
+    /**
+     * Fills the screen readers' tables of the map data: the airports, busiest first, with their movements in each
+     * period; and the state values, by state name.  A table with no rows is hidden.
+     */
+    function fillDataTables(screenReader, airports, periods, states, stateValues, config) {
+        const formatMovements = d3.format(',');
+        const format = d3.format(config.stateFormat);
+        const airportRows = airports.slice().sort((a, b) => b.peakMovements - a.peakMovements);
+        chartUtils.fillDataTable(screenReader.table, describeTitle(config, periods[periods.length - 1]), [
+            { label: 'Code', value: airport => airport.code },
+            { label: 'Airport', value: airport => airport.name }
+        ].concat(periods.map(period => ({
+            label: 'Plane movements (' + period + ')',
+            value: airport => airport.movements[period] == null ? 'n/a' : formatMovements(airport.movements[period])
+        }))), airportRows)
+            .style('display', airportRows.length ? null : 'none');
+        const stateRows = stateValues.entries()
+            .map(entry => ({ name: stateName(states, entry.key), value: entry.value }))
+            .sort((a, b) => d3.ascending(a.name, b.name));
+        chartUtils.fillDataTable(screenReader.stateTable, config.stateLabel + ' by state', [
+            { label: 'State', value: row => row.name },
+            { label: config.stateLabel, value: row => format(row.value) }
+        ], stateRows)
+            .style('display', stateRows.length ? null : 'none');
+    }
+
+
+    /**
+     * Fills the controls element with a play button, a slider over the periods and the current period's name,
+     * unless there is only one period.  onChange is called with the period the user picks, or the next one
+     * while playing.
+     *
+     * Returns { update(period), stop() } to move the slider to the period shown, and to stop playing;
+     * or null if there are no controls.
+     */
+    function appendPeriodControls(controls, periods, period, config, onChange) {
+        controls.selectAll('*').remove();
+        if (!config.periodControls || periods.length < 2) {
+            return null;
+        }
+        let timer = null;
+        const playButton = controls.append('button')
+            .attr('type', 'button')
+            .attr('class', 'play')
+            .text('Play')
+            .on('click', () => timer ? stop() : play());
+        const slider = controls.append('input')
+            .attr('type', 'range')
+            .attr('min', 0)
+            .attr('max', periods.length - 1)
+            .attr('step', 1)
+            .property('value', periods.indexOf(period))
+            .on('input', function () {
+                stop();
+                onChange(periods[+this.value]);
+            });
+        const label = controls.append('span')
+            .attr('class', 'period-label')
+            .text(period);
+
+        function play() {
+            if (+slider.property('value') === periods.length - 1) {
+                onChange(periods[0]);
+            }
+            playButton.text('Pause');
+            timer = d3.interval(() => {
+                const next = +slider.property('value') + 1;
+                if (next < periods.length) {
+                    onChange(periods[next]);
+                }
+                else {
+                    stop();
+                }
+            }, config.playInterval);
+        }
+
+        function stop() {
+            if (timer) {
+                timer.stop();
+                timer = null;
             }
+            playButton.text('Play');
+        }
+
+        return {
+            update: (period) => {
+                slider.property('value', periods.indexOf(period));
+                label.text(period);
+            },
+            stop: stop
         };
-        const legendGroup = svg.append('g')
-            .attr('class', 'legend')
-            .attr('transform', 'translate(20,' + (0.8 * plot.svg.height) + ')');
-        appendLegendOneRow(legendGroup, area, 0, 'rect', 'eastward', 'Eastward route');
-        appendLegendOneRow(legendGroup, area, 1, 'rect', 'westward', 'Westward route');
-        appendLegendOneRow(legendGroup, area, 2, 'circle', '', 'Airport (radius proportional to number of movements)');
     }
 
 
-    function appendLegendOneRow(legendGroup, area, rowNum, shapeName, shapeClass, textString) {
-        if (shapeName === 'circle') {
-            legendGroup.append('circle')
-                .attr('class', shapeClass)
-                .attr('cy', rowNum * area.row.spacing)
-                .attr('r', area.circle.radius);
-        }
-        else if (shapeName === 'rect') {
-            legendGroup.append('rect')
-                .attr('class', shapeClass)
-                .attr('x', -area.square.width/2)
-                .attr('y', -area.square.width/2 + rowNum * area.row.spacing)
-                .attr('width', area.square.width)
-                .attr('height', area.square.width);
+    /**
+     * Fills the states that have a value with its color, and shows the state's name and value in the tooltip
+     * while hovering it.  restoreTooltip is called on leaving the state, to put back any airport tooltip.
+     * On an update, the colors change over the transition.
+     */
+    function appendStateValues(paddingGroup, stateValues, scales, tooltip, config, restoreTooltip, transition) {
+        const format = d3.format(config.stateFormat);
+        const statePaths = paddingGroup.selectAll('.states path')
+            .classed('has-value', state => stateValues.has(state.id));
+        chartUtils.animate(statePaths, transition)
+            .style('fill', state => stateValues.has(state.id) ? scales.stateColor(stateValues.get(state.id)) : null);
+        statePaths
+            .on('mousemove', function (state) {
+                const [x, y] = d3.mouse(paddingGroup.node());
+                const value = stateValues.get(state.id);
+                tooltip.show([
+                    state.properties.name,
+                    config.stateLabel + ': ' + (value == null ? 'n/a' : format(value))
+                ], x, y, 12);
+            })
+            .on('mouseout', restoreTooltip);
+    }
+
+
+    /**
+     * Draws the color ramp for the state values, right aligned in the row below the map, as the label, then
+     * the lowest value, the ramp and the highest value.
+     */
+    function appendStateColorLegend(svg, scales, plot, config) {
+        const legend = chartUtils.appendColorRamp(svg, 'state-legend', scales.stateColor, scales.stateColor.extent,
+            d3.format(config.stateFormat), { label: config.stateLabel });
+        legend.group.attr('transform', 'translate(' + (plot.svg.width - 20 - legend.width) + ','
+            + (plot.svg.height - plot.padding.bottom/2 - legend.height/2) + ')');
+    }
+
+
+    /**
+     * The legend is a row of items below the map, each having a colored line and label to identify route directions.
+     * It is left out when none of the routes has a direction.
+     */
+    function appendLegend(svg, routes, plot) {
+        if (!routes.some(route => route.directed)) {
+            return;
         }
+        const legend = chartUtils.appendLegend(svg, 'legend', [
+            { className: 'eastward', label: 'Eastward route' },
+            { className: 'westward', label: 'Westward route' }
+        ], { swatch: 'line', itemSpacing: 20 });
+        legend.group.attr('transform', 'translate(15,' + (plot.svg.height - plot.padding.bottom/2 - legend.height/2) + ')');
+    }
+
+
+    /**
+     * The size legend, in the bottom right corner of the map, shows nested circles for three reference
+     * movement counts, rounded down from the largest airport's: about it, a quarter of it and a sixteenth.
+     * Each circle is labelled to its right, with a line from its top; labels are spread apart where the
+     * circle tops are too close together.
+     */
+    function appendSizeLegend(svg, scales, plot) {
+        const maxR = scales.r.range()[1];
+        const labelGap = 12;
+        const format = d3.format('.2s');
+        const values = [1, 1/4, 1/16].map(fraction => roundDownToOneDigit(scales.r.domain()[1] * fraction));
+        const legendGroup = chartUtils.resetGroup(svg, 'size-legend');
+        const labelX = 2 * maxR + 10;
+        let labelY = Infinity;
+        values.slice().reverse().forEach(value => {
+            const r = scales.r(value);
+            labelY = Math.min(-2 * r, labelY - labelGap);
+            legendGroup.append('circle')
+                .attr('cx', maxR)
+                .attr('cy', -r)
+                .attr('r', r);
+            legendGroup.append('line')
+                .attr('x1', maxR)
+                .attr('y1', -2 * r)
+                .attr('x2', labelX - 3)
+                .attr('y2', labelY);
+            legendGroup.append('text')
+                .attr('x', labelX)
+                .attr('y', labelY + 4)
+                .text(format(value));
+        });
         legendGroup.append('text')
-            .attr('x', area.textOffset.x)
-            .attr('y', area.textOffset.y + rowNum * area.row.spacing)
-            .text(textString);
+            .attr('class', 'size-legend-title')
+            .attr('y', labelY - labelGap)
+            .text('Plane movements');
+        const width = Math.max(
+            labelX + d3.max(values, value => chartUtils.calcTextWidth(legendGroup, format(value), 'size-legend-hidden')),
+            chartUtils.calcTextWidth(legendGroup, 'Plane movements', 'size-legend-title size-legend-hidden'));
+        legendGroup.selectAll('.size-legend-hidden').remove();
+        legendGroup.attr('transform', 'translate(' + (plot.padding.left + plot.range.x - width - 5)
+            + ',' + (plot.padding.top + plot.range.y - 5) + ')');
     }
 
 
     /**
-     * Top level D3 drawing function.
+     * Rounds down to one significant digit, e.g. 882497 to 800000.
      */
-    function draw() {
-        const svg = d3.select('body').append('svg');
-        const plot = getPlotArea();
-        const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot);
-        getData((data) => {
-            appendMap(paddingGroup, plot, (map) => {
-                const scales = makeScales(plot);
-                appendRouteArcs(paddingGroup, data, scales);
-                appendAirportCircles(paddingGroup, data, scales);
-                appendChartTitle(svg, plot);
-                appendLegend(svg, plot);
-            });
+    function roundDownToOneDigit(value) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        return Math.floor(value / magnitude) * magnitude;
+    }
+
+
+    /**
+     * Draws the whole chart into the svg, showing config.period or else the latest period.  Returns the plot
+     * area, projection and scales that were used, with the placed airports and routes, the periods and the one
+     * shown, and the functions to highlight the selected airport and to show another period.
+     *
+     * Given a transition, the chart is updated in place over it: airports and routes are matched to the ones
+     * drawn before by their codes, and the circles and route weights change to the new period's movements.
+     *
+     * For screen readers, the svg gets a title and description of the period shown, the airports can be stepped
+     * through by keyboard with screenReader.announce reading each one out, and screenReader.table and stateTable
+     * get the data.
+     *
+     * bundleCache keeps the bundled routes from one drawing to the next (see bundleRoutesOnce).
+     */
+    function draw(svg, data, states, routeList, stateRows, config, onSelect, transition, screenReader, bundleCache) {
+        const theme = chartUtils.resolveTheme(config.theme);
+        chartUtils.applyTheme(svg, theme);
+        const plot = chartUtils.makePlotArea(config);
+        const paddingGroup = chartUtils.setupSvgAndPaddingGroup(svg, plot, transition);
+        const candidates = config.overlay ? mappedAirports(data, states, config) : [];
+        const projection = makeProjection(config, states, candidates, plot);
+        const airports = placeAirports(candidates, projection);
+        const unplaced = config.overlay ? data.filter(airport => !airports.some(a => a.code === airport.code)) : [];
+        const routes = filterRoutes(getRoutes(airports, routeList), config);
+        if (config.bundling === 'force') {
+            bundleRoutesOnce(routes, projection, config, bundleCache);
+        }
+        const stateValues = stateRows ? getStateValues(stateRows, config) : d3.map();
+        const scales = makeScales(airports, routes, config);
+        if (stateRows) {
+            scales.stateColor = makeStateColorScale(stateValues, config, theme);
+        }
+        const periods = getPeriods(airports, routes);
+        let period = periods.indexOf(config.period) >= 0 ? config.period : periods[periods.length - 1];
+        appendMap(paddingGroup, states, projection);
+        if (config.overlay) {
+            appendRoutes(paddingGroup, routes, projection, transition);
+            appendAirportCircles(paddingGroup, airports, transition);
+            if (config.labels !== 'none') {
+                appendAirportLabels(paddingGroup, placeAirportLabels(paddingGroup, airports, scales, plot, config),
+                    transition);
+            }
+        }
+        const tooltip = chartUtils.appendTooltip(paddingGroup, plot);
+        const selection = config.overlay
+            ? appendSelectionLayer(paddingGroup, plot, scales, tooltip, () => period, onSelect, screenReader.announce)
+            : { highlight: () => {}, refresh: tooltip.hide };
+        if (stateRows) {
+            appendStateValues(paddingGroup, stateValues, scales, tooltip, config, selection.refresh, transition);
+        }
+        if (config.title) {
+            chartUtils.appendChartTitle(svg, plot, formatTitle(config.title, period));
+        }
+        if (config.overlay && chartUtils.fitsWidth(config, 'legend', plot.svg.width)) {
+            appendLegend(svg, routes, plot);
+            appendSizeLegend(svg, scales, plot);
+        }
+        if (stateRows && chartUtils.fitsWidth(config, 'colorLegend', plot.svg.width)) {
+            appendStateColorLegend(svg, scales, plot, config);
+        }
+        const show = (newPeriod, duration, ease) => {
+            period = newPeriod;
+            showPeriod(svg, period, scales, config, duration, ease);
+            selection.refresh();
+            chartUtils.describeChart(svg, describeTitle(config, period),
+                config.description || describeMap(airports, routes, states, stateValues, period, config));
+        };
+        show(period, transition ? config.transition.duration : 0, config.transition.ease);
+        fillDataTables(screenReader, airports, periods, states, stateValues, config);
+        return {
+            plot, projection, scales, airports, unplaced, routes, periods, period,
+            highlight: selection.highlight,
+            showPeriod: show
+        };
+    }
+
+
+    /**
+     * Top level D3 drawing function.  Appends a new svg to the container, and draws the chart in it once
+     * the airports and boundaries are available, at the size resolved from the config and container (see
+     * chartUtils.resolveSize).  If the width is 'auto', the map is redrawn from the same data whenever the
+     * container width changes.
+     *
+     * The returned handle exposes the svg selection and the effective config; the data, the state features,
+     * the plot area, projection, scales, placed airports and routes are added once drawn, and the airports the
+     * projection couldn't place in unplaced.  Its redraw() function
+     * applies config changes (e.g. a different projection) by loading the data and drawing the chart again.
+     *
+     * handle.select(code) selects the airport with that code (null to clear), just as clicking it would, and
+     * handle.on('select', listener) registers a listener called with the selected airport (or null) on every
+     * selection change, whether by click or by code, e.g. to keep a table next to the map in sync.  The
+     * selection is kept in handle.selected, and survives redraws.
+     *
+     * handle.setPeriod(period) shows another period, animated, as the period controls do, and calls the 'period'
+     * listeners with it.  The period shown is in handle.period, and all the periods in handle.periods.
+     *
+     * handle.on('error', listener) registers a listener for the errors in loading or reading the files (see
+     * chartUtils.reportError).
+     *
+     * handle.update(data) loads new airport data (a URL or array) and animates the map to it over
+     * config.transition: circles resize and move, and airports and routes that come or go fade in or out.
+     *
+     * Next to the svg, the container gets visually hidden tables of the airport and state data, and a live region
+     * that reads out the airports as they get keyboard focus.
+     *
+     * handle.setTheme(theme) draws the map again in another theme (see config.theme), from the data already loaded.
+     *
+     * handle.download(options) saves the map as an svg or png file (see chartUtils.downloadChart).
+     *
+     * handle.destroy() stops the periods playing, and the map redrawing on container resizes (see
+     * chartUtils.observeResize).
+     */
+    function usMapOverlay(container, config) {
+        const containerSelection = chartUtils.selectContainer(container);
+        const svg = containerSelection.append('svg')
+            .attr('class', 'us-map-overlay');
+        const controls = containerSelection.append('div')
+            .attr('class', 'period-controls');
+        const screenReader = {
+            table: chartUtils.appendScreenReaderOnly(containerSelection, 'table', 'chart-data'),
+            stateTable: chartUtils.appendScreenReaderOnly(containerSelection, 'table', 'chart-data state-data'),
+            announce: chartUtils.appendAnnouncer(containerSelection)
+        };
+        const bundleCache = {};
+        const dispatch = d3.dispatch('select', 'period', 'error');
+        const fail = (error) => chartUtils.reportError(dispatch, handle, error);
+        let periodControls = null;
+        const render = (transition) => {
+            if (!transition) {
+                svg.selectAll('*').remove();
+            }
+            const size = chartUtils.resolveSize(containerSelection, handle.config);
+            Object.assign(handle, draw(svg, handle.data, handle.states, handle.routeList, handle.stateRows,
+                Object.assign({}, handle.config, size), handle.select, transition, screenReader, bundleCache));
+            chartUtils.applyTheme(controls, chartUtils.resolveTheme(handle.config.theme));
+            handle.highlight(handle.selected);
+            if (periodControls) {
+                periodControls.stop();
+            }
+            periodControls = appendPeriodControls(controls, handle.periods, handle.period, handle.config,
+                handle.setPeriod);
+        };
+        const handle = {
+            svg: svg,
+            config: chartUtils.mergeConfig(defaultConfig, config),
+            selected: null,
+            select: (code) => {
+                handle.selected = code;
+                if (handle.highlight) {
+                    handle.highlight(code);
+                }
+                const airport = (handle.airports || []).find(a => a.code === code);
+                dispatch.call('select', handle, airport || null);
+                return handle;
+            },
+            setPeriod: (period) => {
+                handle.config = chartUtils.mergeConfig(handle.config, { period });
+                if (handle.showPeriod) {
+                    handle.period = period;
+                    handle.showPeriod(period, handle.config.periodTransition);
+                }
+                if (periodControls) {
+                    periodControls.update(period);
+                }
+                dispatch.call('period', handle, period);
+                return handle;
+            },
+            on: (type, listener) => {
+                dispatch.on(type, listener);
+                return handle;
+            },
+            download: (options) => chartUtils.downloadChart(svg, options),
+            redraw: (configChanges) => {
+                handle.config = chartUtils.mergeConfig(handle.config, configChanges);
+                getData(handle.config, (data, states, routeList, stateRows) => {
+                    Object.assign(handle, { data, states, routeList, stateRows });
+                    render();
+                }, fail);
+                return handle;
+            },
+            update: (data) => {
+                handle.config = chartUtils.mergeConfig(handle.config, { data });
+                getData(handle.config, (data, states, routeList, stateRows) => {
+                    const transition = handle.plot && chartUtils.makeTransition(svg, handle.config);
+                    Object.assign(handle, { data, states, routeList, stateRows });
+                    render(transition);
+                }, fail);
+                return handle;
+            },
+            setTheme: (theme) => {
+                handle.config = Object.assign({}, handle.config, { theme });
+                if (handle.plot) {
+                    render();
+                }
+                return handle;
+            },
+            destroy: () => {
+                stopObservingResize();
+                if (periodControls) {
+                    periodControls.stop();
+                }
+                return handle;
+            }
+        };
+        const stopObservingResize = chartUtils.observeResize(containerSelection, () => {
+            if (handle.config.width === 'auto' && handle.data) {
+                render();
+            }
         });
+        return handle.redraw();
     }
 
 
-    window.onload = draw;
+    return usMapOverlay;
 
 
 })();
-